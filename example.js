@@ -1,15 +1,18 @@
 // Example usage of GameLogic for Kabul card game
 
-const GameLogic = require("./src/GameLogic");
-const initialState = require("./src/kabulGameState.json");
+import { readFileSync } from "fs";
+import GameLogic from "./src/GameLogic.js";
 
-// Create a new game instance
+const initialState = JSON.parse(readFileSync(new URL("./src/kabulGameState.json", import.meta.url)));
+
+// Create a new game instance (pass a seed as second argument to reproduce a deal)
 const game = new GameLogic(initialState);
 
 // Run setup (shuffle, deal, discard first card)
 game.setup();
 
 console.log("=== Game Initialized ===");
+console.log("Seed:", game.state.seed);
 console.log("Face-up card:", game.state.faceUpCard);
 console.log("Player 1 hand:", game.state.players[0].hand);
 console.log("Player 2 hand:", game.state.players[1].hand);
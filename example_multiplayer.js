@@ -1,21 +1,22 @@
 // Example usage of KabulGame (Multiplayer version)
 
-const KabulGame = require("./src/KabulGame");
+import { KabulGame } from "./src/KabulGame.js";
+import { VirtualClock } from "./src/Clock.js";
 
-// Create game instance
-const game = new KabulGame("game-001");
+// Create game instance (a VirtualClock so no timers keep the script running)
+const game = new KabulGame("game-001", "CURRENT_APP", { clock: new VirtualClock() });
 
 // Add players
 game.addPlayer("alice", "Alice");
 game.addPlayer("bob", "Bob");
 game.addPlayer("charlie", "Charlie");
 
-// Start game (enters MEMORIZE phase for 3 seconds)
-game.startGame();
+// Start game (enters MEMORIZE phase; pass a seed to reproduce a deal)
+game.startGame("example");
 console.log("=== Game Started (MEMORIZE PHASE) ===");
 console.log("Phase:", game.state.phase);
 
-// Get client state for Alice (during MEMORIZE - can see front row)
+// Get client state for Alice (during MEMORIZE - can see the memorize positions)
 const aliceView = game.getClientState("alice");
 console.log("\n--- Alice's View (MEMORIZE) ---");
 console.log("My hand:", aliceView.myHand);
@@ -29,87 +30,73 @@ console.log("\n=== MEMORIZE ENDED - PLAYING PHASE ===");
 const alicePlayView = game.getClientState("alice");
 console.log("Alice's hand (all masked):", alicePlayView.myHand);
 
-// --- Alice's Turn ---
-console.log("\n--- Alice's Turn ---");
-console.log("Current turn:", game.getCurrentPlayerId());
+// --- First Turn ---
+const first = game.getCurrentPlayerId();
+console.log(`\n--- ${game.getPlayer(first).name}'s Turn ---`);
 
-const drawn = game.drawCard("alice", "deck");
-console.log("Alice drew from deck:", drawn.card);
+const drawn = game.drawCard(first, "deck");
+console.log("Drew from deck:", drawn.card);
 
-// Alice swaps with position 0
-const swap = game.swapCard("alice", 0);
-console.log("Alice swapped, discarded:", swap.discarded);
+// Swap with position 0
+const swap = game.swapCard(first, 0);
+console.log("Swapped, discarded:", swap.discarded);
 
-// Clear any pending power card action for simplicity
+// Skip any power card action for simplicity
 if (game.state.pendingAction) {
     console.log("Power card triggered:", game.state.pendingAction.type);
-    game.skipPeek("alice");
+    game.skipAction(first);
 }
 
-// --- Bob's Turn ---
-console.log("\n--- Bob's Turn ---");
-console.log("Current turn:", game.getCurrentPlayerId());
+// --- Second Turn ---
+const second = game.getCurrentPlayerId();
+console.log(`\n--- ${game.getPlayer(second).name}'s Turn ---`);
 
-const bobDraw = game.drawCard("bob", "deck");
-console.log("Bob drew:", bobDraw.card);
+const secondDraw = game.drawCard(second, "deck");
+console.log("Drew:", secondDraw.card);
 
-// Bob discards
-game.discardDrawn("bob");
-console.log("Bob discarded");
+// Discard it
+game.discardDrawn(second);
+console.log("Discarded");
 
-// Clear any pending power card
 if (game.state.pendingAction) {
     console.log("Power card triggered:", game.state.pendingAction.type);
-    game.skipPeek("bob");
+    game.skipAction(second);
 }
 
-// --- Charlie tries SLAP ---
-console.log("\n--- Charlie Slaps ---");
+// --- The third player tries SLAP ---
+const slapper = game.state.turnOrder.find(id => id !== first && id !== second);
+console.log(`\n--- ${game.getPlayer(slapper).name} Slaps ---`);
 console.log("Top discard:", game.state.topDiscard);
 
-// Charlie tries to slap with position 0
-const slapResult = game.slap("charlie", 0);
+// Slap with position 0
+const slapResult = game.slap(slapper, 0);
 console.log("Slap result:", slapResult);
-console.log("Charlie's card count:", game.state.players["charlie"].hand.length);
+console.log("Card count:", game.state.players[slapper].hand.filter(Boolean).length);
 
 // --- Continue to KABUL scenario ---
-console.log("\n--- Alice calls KABUL ---");
+const caller = game.getCurrentPlayerId();
+console.log(`\n--- ${game.getPlayer(caller).name} calls KABUL ---`);
 
-// It's Charlie's turn now, skip to Alice
-console.log("Current turn before skip:", game.getCurrentPlayerId());
-game.state.currentTurnIndex = 0; // Reset to Alice
-game.state.pendingAction = null;
-
-// Alice calls KABUL
-const kabul = game.callKabul("alice");
+const kabul = game.callKabul(caller);
 console.log(kabul.message);
-console.log("Final turns remaining:", game.state.finalTurnsRemaining);
-
-// Bob's final turn
-console.log("\n--- Bob's Final Turn ---");
-console.log("Current turn:", game.getCurrentPlayerId());
-game.drawCard("bob", "deck");
-game.discardDrawn("bob");
-if (game.state.pendingAction) game.skipPeek("bob");
-console.log("Phase after Bob:", game.state.phase);
-
-// Charlie's final turn (if game not ended)
-if (game.state.phase !== "ENDED") {
-    console.log("\n--- Charlie's Final Turn ---");
-    console.log("Current turn:", game.getCurrentPlayerId());
-    game.drawCard("charlie", "deck");
-    game.discardDrawn("charlie");
-    if (game.state.pendingAction) game.skipPeek("charlie");
+
+// Everyone else takes a final turn
+while (game.state.phase !== "ENDED") {
+    const playerId = game.getCurrentPlayerId();
+    console.log(`\n--- ${game.getPlayer(playerId).name}'s Final Turn ---`);
+    game.drawCard(playerId, "deck");
+    game.discardDrawn(playerId);
+    game.skipAction(playerId);
 }
 
 // Game should be ENDED now
 console.log("\n=== GAME ENDED ===");
 console.log("Phase:", game.state.phase);
-console.log("Winner:", game.state.winner);
+console.log("Winners:", game.state.winners.map(id => game.getPlayer(id).name).join(" & "));
 
-// Final scores
-console.log("\nFinal Scores:");
-for (const playerId of game.state.turnOrder) {
+// Final scores, best first
+console.log("\nRankings:");
+for (const { playerId, position, finalScore, shared } of game.state.rankings) {
     const p = game.state.players[playerId];
-    console.log(`${p.name}: ${p.finalScore} points`, p.hand.map(c => c.value));
+    console.log(`${position}. ${p.name}: ${finalScore} points${shared ? " (tie)" : ""}`, p.hand.map(c => (c ? c.value : "empty")));
 }
@@ -0,0 +1,62 @@
+// Headless bot-vs-bot simulator (see src/Simulator.js)
+//
+// Same flow as example_multiplayer.js (add players, start, play turns),
+// but every seat is a bot and time is virtual, so it runs fully offline.
+//
+//   node simulate.js --games 2000 --bot "HARD callAt=8" --bot HARD --bot NORMAL --bot NORMAL
+//   node simulate.js --bot "NORMAL takeDiscardAt=-2" --bot NORMAL --format csv --out stats.csv
+//
+// Options:
+//   --games N          rounds to play (default 1000)
+//   --seed S           base seed; game i is dealt from "S-i" (default "sim")
+//   --ruleset ID       RuleSet preset id (default CURRENT_APP)
+//   --bot SPEC         one per seat: "DIFFICULTY key=value ..." (Bot.js profile overrides)
+//   --strategies FILE  JSON array of { name?, difficulty, ...overrides } instead of --bot
+//   --format json|csv  (default json)
+//   --out FILE         write there instead of stdout
+
+import { readFileSync, writeFileSync } from "fs";
+import { parseArgs } from "util";
+import { runSimulation, toCSV } from "./src/Simulator.js";
+
+const { values } = parseArgs({
+    options: {
+        games: { type: "string", default: "1000" },
+        seed: { type: "string", default: "sim" },
+        ruleset: { type: "string" },
+        bot: { type: "string", multiple: true },
+        strategies: { type: "string" },
+        format: { type: "string", default: "json" },
+        out: { type: "string" },
+    },
+});
+
+// "HARD callAt=8 trustStale=false" -> { difficulty: "HARD", callAt: 8, trustStale: false }
+function parseBot(spec) {
+    const [difficulty, ...settings] = spec.trim().split(/\s+/);
+    const strategy = { name: spec, difficulty: difficulty.toUpperCase() };
+    for (const setting of settings) {
+        const [key, raw] = setting.split("=");
+        strategy[key] = raw === "true" ? true : raw === "false" ? false : Number(raw);
+    }
+    return strategy;
+}
+
+const strategies = values.strategies
+    ? JSON.parse(readFileSync(values.strategies, "utf8"))
+    : (values.bot || ["HARD", "NORMAL", "NORMAL", "EASY"]).map(parseBot);
+
+const report = runSimulation({
+    games: Number(values.games),
+    seed: values.seed,
+    ruleSet: values.ruleset,
+    strategies,
+});
+
+const output = values.format === "csv" ? toCSV(report) : JSON.stringify(report, null, 2) + "\n";
+if (values.out) {
+    writeFileSync(values.out, output);
+    console.error(`Wrote ${report.games} games to ${values.out}`);
+} else {
+    process.stdout.write(output);
+}
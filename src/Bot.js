@@ -0,0 +1,298 @@
+/**
+ * Computer Players
+ * ================
+ *
+ * Bots are ordinary players flagged `isBot` (see ADD_PLAYER). Whoever runs
+ * the game (KabulGame locally, the host's FirebaseService online) asks
+ * chooseBotAction for each bot after every change and dispatches the
+ * result like any other action:
+ *
+ *   chooseBotAction(state, botId, { now, strategy? }) -> reducer action | null
+ *
+ * `strategy` overrides any of the difficulty's profile settings below
+ * (e.g. { callAt: 8 }), which is how the simulator compares strategies.
+ *
+ * A bot only looks at what its seat could see: its own knowledge map (see
+ * Knowledge.js), its drawn card and pending ability, the discard pile, hand
+ * sizes and who called Kabul. It never reads other hands or the deck.
+ *
+ * Difficulties:
+ *   EASY    forgets some of its own cards, ignores opponents' cards, calls late
+ *   NORMAL  remembers every card it has seen until it moves
+ *   HARD    also follows cards through swaps it did not see (STALE
+ *           knowledge) and only calls when it thinks it is ahead
+ */
+
+import { ACTION_TYPES, ACTION_STATES, getCurrentPlayerId, countCards } from './GameReducer.js';
+import { KNOWLEDGE } from './Knowledge.js';
+import { generateDeck } from './RuleSet.js';
+import { hashSeed, createRng } from './Random.js';
+
+export const BOT_DIFFICULTY = {
+    EASY: 'EASY',
+    NORMAL: 'NORMAL',
+    HARD: 'HARD',
+};
+
+const PROFILES = {
+    [BOT_DIFFICULTY.EASY]: {
+        thinkTime: 2000,      // ms before acting on a change
+        memory: 0.6,          // chance of recalling each own card it has seen
+        trustStale: false,
+        watchOpponents: false,
+        callAt: 4,            // calls Kabul at or below this estimated hand value
+        takeDiscardAt: 4,     // draws the discard at or below this value (if it improves the hand)
+    },
+    [BOT_DIFFICULTY.NORMAL]: {
+        thinkTime: 1200,
+        memory: 1,
+        trustStale: false,
+        watchOpponents: true,
+        callAt: 6,
+        takeDiscardAt: 4,
+    },
+    [BOT_DIFFICULTY.HARD]: {
+        thinkTime: 800,
+        memory: 1,
+        trustStale: true,
+        watchOpponents: true,
+        callAt: 7,
+        takeDiscardAt: 4,
+    },
+};
+
+export function getBotProfile(difficulty) {
+    return PROFILES[difficulty] || PROFILES[BOT_DIFFICULTY.NORMAL];
+}
+
+// ==================== DECISIONS ====================
+
+/**
+ * Pick the next action for a bot, or null if it has nothing to do.
+ * @param {Object} state - Reducer state
+ * @param {string} botId
+ * @param {Object} options
+ * @param {number} options.now - Current time (to tell if the snap window is open)
+ * @param {Object} [options.strategy] - Profile overrides
+ */
+export function chooseBotAction(state, botId, { now, strategy = {} }) {
+    const bot = state.players[botId];
+    if (!bot?.isBot) return null;
+
+    // Eliminated bots sit the match out
+    if (!state.turnOrder.includes(botId)) return null;
+
+    // Bots memorize in one think time
+    if (state.phase === 'MEMORIZE') {
+        return state.ready.includes(botId) ? null : { type: ACTION_TYPES.READY, playerId: botId };
+    }
+    if (state.phase !== 'PLAYING') return null;
+
+    const profile = { ...getBotProfile(bot.botDifficulty), ...strategy };
+    const random = createRng(hashSeed(`${state.seed}/${state.round}/${state.turnCount}/${botId}`));
+    const view = recall(state, botId, profile, random);
+
+    if (state.pendingGive?.playerId === botId) {
+        return { type: ACTION_TYPES.GIVE_CARD, playerId: botId, handIndex: worstSlot(view, botId).index };
+    }
+
+    const snap = chooseSnap(state, view, botId, profile, now);
+    if (snap) return snap;
+
+    if (getCurrentPlayerId(state) !== botId) return null;
+
+    if (state.pendingAction?.playerId === botId) {
+        return chooseAbility(state, view, botId, profile, random);
+    }
+    if (state.drawnCard?.playerId === botId) {
+        const drawn = state.drawnCard.card;
+        const worst = worstSlot(view, botId);
+        const mustSwap = state.drawnCard.source === 'discard' && state.ruleSet.mustSwapDiscardDraw;
+        return mustSwap || drawn.value < worst.value
+            ? { type: ACTION_TYPES.SWAP, playerId: botId, handIndex: worst.index }
+            : { type: ACTION_TYPES.DISCARD, playerId: botId };
+    }
+    if (state.pendingAction) return null;
+
+    // Not while a snapped card is still owed to this hand (see CALL_KABUL)
+    if (state.pendingGive?.targetId !== botId && shouldCallKabul(state, view, botId, profile)) {
+        return { type: ACTION_TYPES.CALL_KABUL, playerId: botId };
+    }
+
+    // Only take the discard when it clearly improves the hand
+    const top = state.topDiscard;
+    const worst = worstSlot(view, botId);
+    const source = top && top.value <= profile.takeDiscardAt && top.value < worst.value - 2 ? 'discard' : 'deck';
+    return { type: ACTION_TYPES.DRAW, playerId: botId, source };
+}
+
+function chooseSnap(state, view, botId, profile, now) {
+    const window = state.snapWindow;
+    if (!window || window.winner || now > window.closesAt) return null;
+    if (state.kabulCaller === botId) return null;
+
+    // Never snap on a guess: a miss costs cards and leaves the window open
+    const matches = ({ card }) => card?.status === KNOWLEDGE.KNOWN && card.rank === window.card.rank;
+    const own = view.hands[botId].find(matches);
+    if (own) {
+        return { type: ACTION_TYPES.SLAP, playerId: botId, handIndex: own.index };
+    }
+
+    if (!state.ruleSet.opponentSnap || !profile.watchOpponents) return null;
+    for (const targetId of opponents(state, botId)) {
+        const slot = view.hands[targetId].find(matches);
+        if (slot) {
+            return { type: ACTION_TYPES.SNAP_OPPONENT, playerId: botId, targetId, handIndex: slot.index };
+        }
+    }
+    return null;
+}
+
+function chooseAbility(state, view, botId, profile, random) {
+    const pending = state.pendingAction;
+    const skip = { type: ACTION_TYPES.SKIP_ABILITY, playerId: botId };
+    const targets = opponents(state, botId);
+
+    switch (pending.type) {
+        case ACTION_STATES.PEEK_RESULT:
+            return { type: ACTION_TYPES.END_PEEK, playerId: botId };
+
+        case ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK: {
+            const unknown = unknownSlots(view, botId);
+            const slots = view.hands[botId];
+            if (slots.length === 0) return skip;
+            const handIndex = unknown.length ? pick(unknown, random) : pick(slots, random).index;
+            return { type: ACTION_TYPES.PEEK_OWN, playerId: botId, handIndex };
+        }
+
+        case ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK: {
+            const slot = unknownOpponentSlot(view, targets, random);
+            if (!slot) return skip;
+            return { type: ACTION_TYPES.PEEK_ENEMY, playerId: botId, targetId: slot.ownerId, handIndex: slot.index };
+        }
+
+        case ACTION_STATES.SWAPPING_CARDS: {
+            // Blind: only give away a card known to be bad
+            const worst = worstSlot(view, botId);
+            if (!worst.known) return skip;
+            const best = bestOpponentSlot(view, targets);
+            if (best && best.value < worst.value) {
+                return swapAction(ACTION_TYPES.BLIND_SWAP, botId, worst.index, best);
+            }
+            const slot = worst.value >= 10 && unknownOpponentSlot(view, targets, random);
+            return slot ? swapAction(ACTION_TYPES.BLIND_SWAP, botId, worst.index, slot) : skip;
+        }
+
+        case ACTION_STATES.SEE_AND_SWAPPING_CARDS: {
+            const worst = worstSlot(view, botId);
+            const slot = bestOpponentSlot(view, targets) || unknownOpponentSlot(view, targets, random);
+            if (worst.index === -1 || !slot) return skip;
+            return swapAction(ACTION_TYPES.REVEAL_SWAP, botId, worst.index, slot);
+        }
+
+        case ACTION_STATES.CONFIRMING_SWAP: {
+            const { ownCard, targetCard } = pending.revealedCards;
+            return targetCard.value < ownCard.value
+                ? { type: ACTION_TYPES.CONFIRM_SWAP, playerId: botId }
+                : skip;
+        }
+
+        default:
+            return skip;
+    }
+}
+
+function shouldCallKabul(state, view, botId, profile) {
+    // Give everyone at least one turn first
+    if (state.kabulCaller || state.turnCount < state.turnOrder.length) return false;
+
+    const estimate = estimateHand(view, botId);
+    if (estimate > profile.callAt) return false;
+    if (!profile.trustStale) return true;
+
+    return opponents(state, botId).every(id => estimateHand(view, id) > estimate);
+}
+
+// ==================== WHAT THE BOT REMEMBERS ====================
+
+/**
+ * The bot's picture of every hand: one { index, card } per filled slot,
+ * where card is { rank, value, status } if it remembers it, null otherwise.
+ */
+function recall(state, botId, profile, random) {
+    const known = state.knowledge[botId] || {};
+    const hands = {};
+    for (const [ownerId, player] of Object.entries(state.players)) {
+        const slots = known[ownerId] || [];
+        const remembered = i => {
+            const entry = slots[i];
+            if (!entry?.card) return null;
+            if (ownerId !== botId && !profile.watchOpponents) return null;
+            if (entry.status === KNOWLEDGE.STALE && !profile.trustStale) return null;
+            if (random() >= profile.memory) return null;
+            return { ...entry.card, status: entry.status };
+        };
+        hands[ownerId] = player.hand.flatMap((card, index) => (card ? [{ index, card: remembered(index) }] : []));
+    }
+    return { hands, unknownValue: averageCardValue(state.ruleSet) };
+}
+
+function averageCardValue(ruleSet) {
+    const deck = generateDeck(ruleSet);
+    return deck.reduce((sum, card) => sum + card.value, 0) / deck.length;
+}
+
+function estimateHand(view, ownerId) {
+    return view.hands[ownerId].reduce((sum, { card }) => sum + (card ? card.value : view.unknownValue), 0);
+}
+
+/**
+ * The own slot most worth getting rid of: the highest known card, or an
+ * unknown one if nothing known is above average.
+ */
+function worstSlot(view, botId) {
+    let worst = { index: -1, value: -Infinity, known: false };
+    view.hands[botId].forEach(({ index, card }) => {
+        const value = card ? card.value : view.unknownValue;
+        if (value > worst.value) worst = { index, value, known: Boolean(card) };
+    });
+    return worst;
+}
+
+function bestOpponentSlot(view, targets) {
+    let best = null;
+    for (const ownerId of targets) {
+        view.hands[ownerId].forEach(({ index, card }) => {
+            if (card && (!best || card.value < best.value)) best = { ownerId, index, value: card.value };
+        });
+    }
+    return best;
+}
+
+function unknownOpponentSlot(view, targets, random) {
+    const slots = targets.flatMap(ownerId =>
+        unknownSlots(view, ownerId).map(index => ({ ownerId, index })));
+    return slots.length ? pick(slots, random) : null;
+}
+
+function unknownSlots(view, ownerId) {
+    return view.hands[ownerId].flatMap(({ index, card }) => (card ? [] : [index]));
+}
+
+/**
+ * Opponents whose cards can be targeted (not locked, still holding cards).
+ */
+function opponents(state, botId) {
+    return state.turnOrder.filter(id =>
+        id !== botId && id !== state.kabulCaller && countCards(state.players[id].hand) > 0);
+}
+
+function swapAction(type, botId, ownIndex, slot) {
+    return { type, playerId: botId, ownIndex, targetId: slot.ownerId, targetIndex: slot.index };
+}
+
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+export default chooseBotAction;
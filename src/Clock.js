@@ -0,0 +1,87 @@
+/**
+ * Clocks & Schedulers
+ * ===================
+ *
+ * Game progress that depends on time (memorize phase, peeks, turn
+ * deadlines) is driven through a clock instead of raw Date.now/setTimeout:
+ *
+ *   clock.now()                 -> current time (ms)
+ *   clock.schedule(delay, fn)   -> handle; runs fn after `delay` ms
+ *   clock.cancel(handle)
+ *
+ * SystemClock uses the real time. VirtualClock only moves when told to
+ * (advance / runNext), which makes timed behaviour testable and lets
+ * simulations play thousands of games instantly.
+ */
+
+export class SystemClock {
+    now() {
+        return Date.now();
+    }
+
+    schedule(delay, fn) {
+        return setTimeout(fn, Math.max(0, delay));
+    }
+
+    cancel(handle) {
+        clearTimeout(handle);
+    }
+}
+
+export class VirtualClock {
+    constructor(start = 0) {
+        this.time = start;
+        this.tasks = [];      // [{ id, at, fn }]
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    schedule(delay, fn) {
+        const id = this.nextId++;
+        this.tasks.push({ id, at: this.time + Math.max(0, delay), fn });
+        return id;
+    }
+
+    cancel(handle) {
+        this.tasks = this.tasks.filter(task => task.id !== handle);
+    }
+
+    get pendingCount() {
+        return this.tasks.length;
+    }
+
+    /**
+     * Jump to the next scheduled task and run it.
+     * @returns {boolean} false if nothing was scheduled
+     */
+    runNext() {
+        if (this.tasks.length === 0) return false;
+
+        // Earliest first; tasks due at the same time run in scheduling order
+        const task = this.tasks.reduce((next, t) =>
+            t.at < next.at || (t.at === next.at && t.id < next.id) ? t : next);
+        this.tasks = this.tasks.filter(t => t !== task);
+        this.time = Math.max(this.time, task.at);
+        task.fn();
+        return true;
+    }
+
+    /**
+     * Move time forward by `ms`, running every task that falls due on the way.
+     */
+    advance(ms) {
+        this.advanceTo(this.time + ms);
+    }
+
+    advanceTo(time) {
+        while (this.tasks.some(task => task.at <= time)) {
+            this.runNext();
+        }
+        this.time = Math.max(this.time, time);
+    }
+}
+
+export default SystemClock;
@@ -3,33 +3,112 @@
  * ==================================================
  * 
  * Database Structure:
- * /rooms/{roomId}/
+ * /rooms/{roomId}/ (public)
+ *   ├── config/: { name, hostId, hostUid, hostName, createdAt, director }
+ *   │
  *   ├── gameState/
  *   │   ├── phase: 'WAITING' | 'MEMORIZE' | 'PLAYING' | 'ENDED'
+ *   │   ├── ready: [playerId] (done memorizing; MEMORIZE ends once everyone is, see READY)
+ *   │   ├── seed: string | null (shuffle seed, reproduces the deals; published once the match is over)
+ *   │   ├── seating: [playerId] (clockwise)
+ *   │   ├── dealer: playerId (the player to their left starts)
  *   │   ├── currentTurn: playerId
+ *   │   ├── turnDeadline: timestamp (current step of the turn)
+ *   │   ├── timeoutAt: timestamp (deadline + time bank; then anyone may TIMEOUT)
+ *   │   ├── nextTickAt: timestamp | null (when the next timed transition is due)
  *   │   ├── turnPhase: 'DRAWING' | 'DISCARDING' | 'RESOLVING_ABILITY' | 'SELECTING_TARGET' | 'CONFIRMING_SWAP'
  *   │   ├── abilityState: { type, activePlayer, targetPlayer, targetCardIndex, ownCardIndex, step }
  *   │   ├── topDiscard: { rank, suit, value, display }
  *   │   ├── deckCount: number
+ *   │   ├── decks: number (54-card decks in play, see RuleSet table.playersPerDeck)
+ *   │   ├── snapWindow: { card, playerId, closesAt, winner } | null (see SLAP in GameReducer.js)
+ *   │   ├── pendingGive: { playerId, targetId, handIndex, expiresAt } | null (after SNAP_OPPONENT)
+ *   │   ├── deckReshuffles: number (bumped when the discard pile becomes the deck)
  *   │   ├── kabulCaller: playerId | null
  *   │   ├── finalTurnsRemaining: number
- *   │   └── winner: playerId | null
+ *   │   ├── winners: [playerId] (position 1 of the round; several on a shared win)
+ *   │   ├── rankings: [{ playerId, position, handValue, finalScore, cardCount, shared }]
+ *   │   │             (lowest finalScore first, ties split by ruleSet.kabul.tiebreak)
+ *   │   ├── round: number
+ *   │   ├── standings: [{ playerId, name, score, eliminated, rank }]
+ *   │   ├── matchOver: boolean
+ *   │   └── matchWinner: playerId | null
  *   │
  *   ├── players/{playerId}/
  *   │   ├── name: string
- *   │   ├── hand: [{ hidden: true } | { rank, suit, value, display }]
- *   │   ├── cardCount: number
- *   │   └── hasCalledKabul: boolean
+ *   │   ├── uid: string (auth uid of the client playing the seat; a bot's is the host's)
+ *   │   ├── online: boolean (false once their client disconnects, see _watchHost)
+ *   │   ├── seat: number (lobby seating order, see setSeating)
+ *   │   ├── isBot: boolean, botDifficulty: 'EASY' | 'NORMAL' | 'HARD' | null
+ *   │   ├── hand: [{ position, hidden: true } | { position, empty: true }]
+ *   │   │         (one entry per slot; a snapped card leaves its slot empty;
+ *   │   │          face up as { position, rank, suit, value, display } once the round has ENDED)
+ *   │   ├── cardCount: number (filled slots)
+ *   │   ├── timeBank: number (ms of chess-clock time left this round)
+ *   │   ├── hasCalledKabul: boolean (their hand is locked)
+ *   │   ├── handValue: number (hand value at the end of the round)
+ *   │   ├── scoreAdjustment: { points, reason } | null (Kabul-caller scoring)
+ *   │   ├── finalScore: number (round score: handValue + adjustment)
+ *   │   ├── score: number (running match score)
+ *   │   └── eliminated: boolean
+ *   │
+ *   ├── ruleSet: { id, name, values, valueOverrides, abilities, slapPenalty, timers, kabul, table, hand }
  *   │
  *   ├── discardPile: [card objects]
  *   │
- *   ├── deck: [card objects] (SERVER ONLY - security rules deny client read)
+ *   ├── spectators/{spectatorId}/: { name, uid } (see joinAsSpectator)
  *   │
- *   └── private/{playerId}/
+ *   └── requests/{requestId}/: { uid, playerId, actionType, payload } | { uid, playerId, action }
+ *                              (another player's move, for the host's client to play)
+ *
+ * /engines/{roomId}/ (host only)
+ *   ├── state: full GameReducer state (the source of truth: deck and every hand)
+ *   ├── events: [{ seq, action, events }] (ordered action log, see KabulGame.replay; append-only)
+ *   └── nextSeq: number (where the next log entry goes)
+ *
+ * /director/{roomId}/ (director mode, see _publishDirector)
+ *   ├── viewers/{uid}: true (spectators not seated at the table)
+ *   └── view: { hands: { playerId: [card | { position, empty: true }] }, asOf } (viewers only)
+ *
+ * /responses/{roomId}/{uid}/{requestId}/: { success, error, events: [{ type }] } (that uid only)
+ *
+ * /private/{roomId}/{playerId}/ (that player's uid only)
+ *       ├── hand: [{ position, hidden: true } | { position, rank, suit, value, display } | { position, empty: true }]
+ *       │         (face up: the memorize positions during MEMORIZE, every card once ENDED)
  *       ├── revealedCard: { position, rank, suit, value, display, expiresAt }
- *       └── drawnCard: { rank, suit, value, display, actionType }
+ *       ├── swapPreview: { ownCard, targetCard }
+ *       ├── drawnCard: { rank, suit, value, display, actionType, source }
+ *       ├── legalActions: [reducer action] (as of the last change, see getLegalActions)
+ *       └── knowledge: { ownerId: [{ status, rank, value, display }] } (see Knowledge.js)
+ * 
+ * Clients sign in anonymously, and the database rules (database.rules.json)
+ * keep each node above to the uids noted next to it. Only the host's client
+ * can read the engine state, so it runs the game: every game action runs the
+ * shared rules reducer (GameReducer.applyAction) on `engines/{roomId}/state`,
+ * one at a time, and writes the new engine state together with the
+ * public/private projections above in one update. Other players push their
+ * moves to `requests`; the host's client checks the seat is theirs, plays
+ * the move and answers in `responses`.
+ * 
+ * Timed transitions (end of memorize, end of a peek, turn timeouts) are TICK
+ * actions. The host's client schedules one for `gameState.nextTickAt` on its
+ * clock (see Clock.js).
+ * 
+ * Every listening player keeps `players/{playerId}/online` up to date. When
+ * the host goes offline or leaves, the first online player in seat order
+ * takes over as host in a transaction on `config` (see _claimHost); the
+ * rules tie engines/ to `config.hostUid`, so the engine state moves with the
+ * role and the game carries on from where it was.
+ * 
+ * Spectators (listenAsSpectator) see the public table only. If the host turns
+ * on director mode (config.director: { enabled, delay }), the host's client
+ * also replays `events` into every hand as it was `delay` ms ago and
+ * publishes that to /director, for spectators only.
+ * 
+ * Bots (joinRoom with { isBot: true }) are played by the host's client: it
+ * runs Bot.chooseBotAction in the same dispatches (see Bot.js).
  * 
- * Card Abilities:
+ * Card Abilities (default 'CURRENT_APP' RuleSet, see RuleSet.js):
  *   7/8  -> PEEK_SELF (see own card)
  *   9/10 -> PEEK_ENEMY (see opponent card)
  *   J    -> BLIND_SWAP (swap without seeing)
@@ -37,6 +116,7 @@
  */
 
 import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously } from 'firebase/auth';
 import {
     getDatabase,
     ref,
@@ -44,14 +124,34 @@ import {
     get,
     update,
     push,
+    remove,
     onValue,
+    onChildAdded,
+    onDisconnect,
     off,
     runTransaction,
     serverTimestamp
 } from 'firebase/database';
 
-// Import card definitions from KabulGame.js to avoid duplication
-import { CARD_VALUES, CARD_ABILITIES } from './KabulGame';
+// Card values and abilities come from the room's RuleSet
+import { ABILITY, resolveRuleSet } from './RuleSet.js';
+import { generateSeed } from './Random.js';
+import { SystemClock } from './Clock.js';
+import { getKnowledgeView } from './Knowledge.js';
+import { BOT_DIFFICULTY, chooseBotAction, getBotProfile } from './Bot.js';
+import {
+    ACTION_TYPES,
+    ACTION_STATES,
+    ABILITY_ACTION_STATES,
+    applyAction,
+    createInitialState,
+    getCurrentPlayerId,
+    getTimeoutAt,
+    getNextTickAt,
+    getLegalActions,
+    normalizeState,
+    countCards,
+} from './GameReducer.js';
 
 // Turn phases
 const TURN_PHASE = {
@@ -71,23 +171,93 @@ const ACTION = {
     SWAP_CARD: 'SWAP_CARD',
     DISCARD_DRAWN: 'DISCARD_DRAWN',
     SLAP_MATCH: 'SLAP_MATCH',
+    SNAP_OPPONENT: 'SNAP_OPPONENT',
+    GIVE_CARD: 'GIVE_CARD',
     CALL_KABUL: 'CALL_KABUL',
     // Ability actions
     SELECT_OWN_CARD: 'SELECT_OWN_CARD',
     SELECT_ENEMY_CARD: 'SELECT_ENEMY_CARD',
-    SELECT_TARGET_PLAYER: 'SELECT_TARGET_PLAYER',
     CONFIRM_SWAP: 'CONFIRM_SWAP',
     SKIP_ABILITY: 'SKIP_ABILITY',
 };
 
+// How long a player waits for the host's client to answer a request
+const REQUEST_TIMEOUT = 10000;
+
+// Reducer actions that run the game rather than play a seat: the host's client only
+const HOST_ACTIONS = [
+    ACTION_TYPES.ADD_PLAYER,
+    ACTION_TYPES.SET_SEATING,
+    ACTION_TYPES.START_GAME,
+    ACTION_TYPES.NEXT_ROUND,
+    ACTION_TYPES.END_MEMORIZE,
+    ACTION_TYPES.TIMEOUT,
+    ACTION_TYPES.TICK,
+];
+
+// Ability shown in abilityState for each pending action state
+const PENDING_ABILITIES = {
+    ...Object.fromEntries(
+        Object.entries(ABILITY_ACTION_STATES).map(([ability, pending]) => [pending, ability])
+    ),
+    [ACTION_STATES.CONFIRMING_SWAP]: ABILITY.SEE_AND_SWAP,
+};
+
 class FirebaseService {
-    constructor(firebaseConfig) {
+    /**
+     * @param {Object} firebaseConfig
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - Clock/scheduler (defaults to the real time)
+     */
+    constructor(firebaseConfig, { clock = new SystemClock() } = {}) {
         this.app = initializeApp(firebaseConfig);
+        this.auth = getAuth(this.app);
         this.db = getDatabase(this.app);
+        this.clock = clock;
         this.listeners = new Map();
+        this.tickHandles = new Map();
+        this.botHandles = new Map();     // roomId -> Map(botId -> handle)
+        this.hostRooms = new Map();      // roomId -> whether this client is its host
+        this.queues = new Map();         // roomId -> the host's last dispatch (they run one at a time)
+        this.requestRefs = new Map();    // roomId -> requests ref the host listens to
+        this.claiming = new Set();       // roomIds this client is trying to take over (see _claimHost)
+        this.directors = new Map();      // roomId -> { replay, handle } (director mode, see _publishDirector)
+        this.signingIn = null;
         this.currentPlayerId = null;
     }
 
+    // ==================== AUTH ====================
+
+    /**
+     * Sign in anonymously (once); the database rules tell clients apart by uid.
+     * @returns {Promise<string>} uid
+     */
+    _signIn() {
+        if (!this.signingIn) {
+            this.signingIn = signInAnonymously(this.auth)
+                .then(({ user }) => user.uid)
+                .catch((err) => {
+                    this.signingIn = null;
+                    throw err;
+                });
+        }
+        return this.signingIn;
+    }
+
+    /**
+     * Whether this client hosts (and so runs) the room; kept up to date by _watchHost.
+     */
+    async _isHost(roomId) {
+        if (!this.hostRooms.has(roomId)) {
+            const [uid, snapshot] = await Promise.all([
+                this._signIn(),
+                get(ref(this.db, `rooms/${roomId}/config/hostUid`)),
+            ]);
+            this.hostRooms.set(roomId, snapshot.val() === uid);
+        }
+        return this.hostRooms.get(roomId);
+    }
+
     // ==================== ROOM MANAGEMENT ====================
 
     /**
@@ -102,8 +272,9 @@ class FirebaseService {
             name: data.config?.name || `Room ${id.substr(0, 4)}`,
             hostName: data.config?.hostName || 'Unknown',
             playerCount: Object.keys(data.players || {}).length,
-            maxPlayers: 4,
+            maxPlayers: resolveRuleSet(data.ruleSet).table.maxPlayers,
             isPrivate: data.config?.isPrivate || false,
+            ruleSetName: data.ruleSet?.name || resolveRuleSet().name,
             status: data.gameState?.phase || 'WAITING',
             players: Object.entries(data.players || {}).map(([pid, p]) => ({
                 id: pid,
@@ -115,19 +286,19 @@ class FirebaseService {
 
     /**
      * Create a new room
+     * @param {string|Object} [ruleSet] - RuleSet preset id or object, stored resolved on the room
      */
-    async createRoom(roomName, hostId, hostName) {
+    async createRoom(roomName, hostId, hostName, ruleSet) {
+        const uid = await this._signIn();
         const newRoomRef = push(ref(this.db, 'rooms'));
         const roomId = newRoomRef.key;
-
-        // Generate initial deck
-        const deck = this._generateDeck();
-        this._shuffle(deck);
+        const resolvedRuleSet = resolveRuleSet(ruleSet);
 
         await set(newRoomRef, {
             config: {
                 name: roomName,
                 hostId,
+                hostUid: uid,
                 hostName,
                 createdAt: serverTimestamp(),
             },
@@ -137,33 +308,39 @@ class FirebaseService {
                 turnPhase: 'WAITING',
                 abilityState: null,
                 topDiscard: null,
-                deckCount: 54,
+                deckCount: 0,
                 kabulCaller: null,
                 finalTurnsRemaining: null,
-                winner: null,
+                winners: [],
             },
             players: {
                 [hostId]: {
                     name: hostName,
+                    uid,
                     isHost: true,
+                    seat: 0,
                     hand: [],
                     cardCount: 0,
                     score: 0,
                     hasCalledKabul: false,
                 },
             },
-            deck: deck,
             discardPile: [],
-            private: {},
+            ruleSet: resolvedRuleSet,
         });
 
+        this.hostRooms.set(roomId, true);
         return { success: true, roomId };
     }
 
     /**
      * Join an existing room
+     * @param {Object} [options]
+     * @param {boolean} [options.isBot] - Seat a bot, played by the host's client
+     * @param {string} [options.difficulty] - BOT_DIFFICULTY (default NORMAL)
      */
-    async joinRoom(roomId, playerId, playerName) {
+    async joinRoom(roomId, playerId, playerName, { isBot = false, difficulty = BOT_DIFFICULTY.NORMAL } = {}) {
+        const uid = await this._signIn();
         const roomRef = ref(this.db, `rooms/${roomId}`);
         const snapshot = await get(roomRef);
 
@@ -172,149 +349,143 @@ class FirebaseService {
         }
 
         const roomData = snapshot.val();
-        const playerCount = Object.keys(roomData.players || {}).length;
-
-        if (playerCount >= 4) {
-            throw new Error('Room is full');
-        }
+        const { maxPlayers } = resolveRuleSet(roomData.ruleSet).table;
 
         if (roomData.gameState?.phase !== 'WAITING') {
             throw new Error('Game already started');
         }
 
-        await update(ref(this.db, `rooms/${roomId}/players/${playerId}`), {
-            name: playerName,
-            isHost: false,
-            hand: [],
-            cardCount: 0,
-            score: 0,
-            hasCalledKabul: false,
+        // Counted and seated in one transaction, so two newcomers can't both take the last seat
+        let full = false;
+        const { committed } = await runTransaction(ref(this.db, `rooms/${roomId}/players`), (current) => {
+            // A cold cache starts from null; the server then retries with the real players
+            const players = current || {};
+            full = Object.keys(players).length >= maxPlayers;
+            if (full) return;
+
+            // Newcomers take the next free seat
+            const seats = Object.values(players).map(p => p.seat ?? 0);
+            const seat = seats.length ? Math.max(...seats) + 1 : 0;
+
+            // A bot belongs to the host who seats it
+            return {
+                ...players,
+                [playerId]: {
+                    name: playerName,
+                    uid,
+                    isHost: false,
+                    isBot,
+                    botDifficulty: isBot ? difficulty : null,
+                    seat,
+                    hand: [],
+                    cardCount: 0,
+                    score: 0,
+                    hasCalledKabul: false,
+                },
+            };
         });
 
+        if (!committed) {
+            throw new Error(full ? 'Room is full' : 'Could not join the room');
+        }
         return { success: true };
     }
 
     /**
-     * Leave a room
-     */
-    async leaveRoom(roomId, playerId) {
-        const playerRef = ref(this.db, `rooms/${roomId}/players/${playerId}`);
-        await set(playerRef, null);
-        return { success: true };
-    }
-
-    /**
-     * Start the game (Host Only)
-     * Generates deck, shuffles, and deals 4 cards to each player
+     * Watch a room without taking a seat (any phase, no player limit)
      */
-    async startGame(roomId) {
-        const roomRef = ref(this.db, `rooms/${roomId}`);
-        const snapshot = await get(roomRef);
-
+    async joinAsSpectator(roomId, spectatorId, name) {
+        const uid = await this._signIn();
+        const snapshot = await get(ref(this.db, `rooms/${roomId}/config`));
         if (!snapshot.exists()) {
             throw new Error('Room not found');
         }
 
-        const roomData = snapshot.val();
-        const playerIds = Object.keys(roomData.players || {});
-
-        if (playerIds.length < 2) {
-            throw new Error('Need at least 2 players to start');
-        }
-
-        // Generate and shuffle new deck
-        const deck = this._generateDeck();
-        this._shuffle(deck);
-
-        const updates = {};
+        await set(ref(this.db, `rooms/${roomId}/spectators/${spectatorId}`), { name, uid });
+        return { success: true };
+    }
 
-        // Deal 4 cards to each player
-        playerIds.forEach((pid) => {
-            const hand = deck.splice(0, 4);
-            updates[`rooms/${roomId}/players/${pid}/hand`] = hand;
-            updates[`rooms/${roomId}/players/${pid}/cardCount`] = 4;
+    /**
+     * Leave a room (as a player or a spectator)
+     */
+    async leaveRoom(roomId, playerId) {
+        await this._signIn();
+        await update(this._roomRef(roomId), {
+            [`players/${playerId}`]: null,
+            [`spectators/${playerId}`]: null,
         });
+        return { success: true };
+    }
 
-        // Initial discard card
-        const firstDiscard = deck.shift();
-
-        // Update all game state
-        updates[`rooms/${roomId}/deck`] = deck;
-        updates[`rooms/${roomId}/discardPile`] = [firstDiscard];
-        updates[`rooms/${roomId}/gameState/phase`] = 'MEMORIZE';
-        updates[`rooms/${roomId}/gameState/turnPhase`] = 'WAITING';
-        updates[`rooms/${roomId}/gameState/currentTurn`] = playerIds[0];
-        updates[`rooms/${roomId}/gameState/topDiscard`] = firstDiscard;
-        updates[`rooms/${roomId}/gameState/deckCount`] = deck.length;
-
-        await update(ref(this.db), updates);
+    /**
+     * Reveal every hand to spectators, `delay` ms late (Host Only)
+     */
+    async setDirectorMode(roomId, { enabled, delay = 30000 }) {
+        await this._signIn();
+        await update(ref(this.db, `rooms/${roomId}/config`), {
+            director: { enabled: Boolean(enabled), delay },
+        });
 
-        // After 3 seconds memorize phase, transition to PLAYING
-        setTimeout(async () => {
-            try {
-                await update(ref(this.db, `rooms/${roomId}/gameState`), {
-                    phase: 'PLAYING',
-                    turnPhase: TURN_PHASE.DRAWING,
-                });
-            } catch (err) {
-                console.error('Failed to transition to PLAYING:', err);
+        // In turn with the game's own writes; a new delay needs a fresh replay
+        await this._enqueue(roomId, async () => {
+            this._stopDirector(roomId);
+            if (enabled) {
+                const snapshot = await get(this._roomRef(roomId));
+                await this._publishDirector(roomId, snapshot.val());
+            } else {
+                await remove(ref(this.db, `director/${roomId}`));
             }
-        }, 3000);
-
+        });
         return { success: true };
     }
 
     /**
-     * Generate a 54-card deck (52 + 2 Jokers)
-     * Card values follow Kabul rules:
-     * - Joker: 0 (best)
-     * - Red Kings (♥, ♦): -1 (very good)
-     * - Ace: 1
-     * - 2-10: face value
-     * - Jack: 11
-     * - Queen: 12
-     * - Black Kings (♠, ♣): 13 (worst)
+     * Reorder the seats in the lobby (Host Only)
+     * @param {string[]} seating - Every player id, in clockwise order
      */
-    _generateDeck() {
-        const deck = [];
-        const suits = ['♠', '♥', '♦', '♣'];
-        const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-
-        for (const suit of suits) {
-            for (const rank of ranks) {
-                let value = CARD_VALUES[rank];
-
-                // Red Kings are -1 (override default K=13)
-                if (rank === 'K' && (suit === '♥' || suit === '♦')) {
-                    value = -1;
-                }
-
-                deck.push({
-                    rank,
-                    suit,
-                    value,
-                    display: `${rank}${suit}`,
-                    actionType: CARD_ABILITIES[rank] || 'NONE',
-                });
-            }
-        }
+    async setSeating(roomId, seating) {
+        await this._signIn();
+        const updates = {};
+        seating.forEach((pid, seat) => {
+            updates[`players/${pid}/seat`] = seat;
+        });
+        await update(this._roomRef(roomId), updates);
+        return { success: true };
+    }
 
-        // Add 2 Jokers (value: 0)
-        deck.push({ rank: 'Joker', suit: null, value: 0, display: '🃏', actionType: 'NONE' });
-        deck.push({ rank: 'Joker', suit: null, value: 0, display: '🃏', actionType: 'NONE' });
+    /**
+     * Start the game (Host Only)
+     * Generates deck, shuffles, and deals 4 cards to each player
+     * @param {string} [seed] - Shuffle seed; pass one to reproduce a deal
+     * @param {Object} [options]
+     * @param {boolean} [options.shuffleSeats] - Randomise the lobby seating
+     */
+    async startGame(roomId, seed = generateSeed(), { shuffleSeats = false } = {}) {
+        const result = await this._dispatch(roomId, (state, room) => {
+            // Seat order comes from the lobby, not from Firebase key order
+            const seating = Object.keys(room.players || {})
+                .sort((a, b) => (room.players[a].seat ?? 0) - (room.players[b].seat ?? 0));
+
+            return [
+                ...seating.map((pid) => ({
+                    type: ACTION_TYPES.ADD_PLAYER,
+                    playerId: pid,
+                    name: room.players[pid].name,
+                    isBot: Boolean(room.players[pid].isBot),
+                    botDifficulty: room.players[pid].botDifficulty ?? null,
+                })),
+                { type: ACTION_TYPES.START_GAME, seed, shuffleSeats, gameId: state.gameId, ruleSet: state.ruleSet },
+            ];
+        });
 
-        return deck;
+        return result;
     }
 
     /**
-     * Fisher-Yates shuffle (proper randomization)
+     * Deal the next round of the match after a round has ENDED (Host Only)
      */
-    _shuffle(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
-        return array;
+    async startNextRound(roomId) {
+        return this._dispatch(roomId, () => ({ type: ACTION_TYPES.NEXT_ROUND }));
     }
 
     // ==================== REFERENCES ====================
@@ -332,15 +503,12 @@ class FirebaseService {
     }
 
     _privateRef(roomId, playerId) {
-        return ref(this.db, `rooms/${roomId}/private/${playerId}`);
-    }
-
-    _deckRef(roomId) {
-        return ref(this.db, `rooms/${roomId}/deck`);
+        return ref(this.db, `private/${roomId}/${playerId}`);
     }
 
-    _discardRef(roomId) {
-        return ref(this.db, `rooms/${roomId}/discardPile`);
+    async _getRuleSet(roomId) {
+        const snapshot = await get(ref(this.db, `rooms/${roomId}/ruleSet`));
+        return resolveRuleSet(snapshot.val());
     }
 
     // ==================== LISTENERS ====================
@@ -348,7 +516,7 @@ class FirebaseService {
     /**
      * Subscribe to room changes
      * @param {string} roomId 
-     * @param {Function} callback - Called with { gameState, players, myHand, myPrivate }
+     * @param {Function} callback - Called with { gameState, players, myHand, myPrivate, ruleSet }
      */
     listenToRoom(roomId, playerId, callback) {
         this.currentPlayerId = playerId;
@@ -362,18 +530,26 @@ class FirebaseService {
             const playersSnapshot = await get(ref(this.db, `rooms/${roomId}/players`));
             const players = playersSnapshot.val() || {};
 
-            // Get my private data
+            // Get my private data (the database rules let only me read it)
+            await this._signIn();
             const privateSnapshot = await get(this._privateRef(roomId, playerId));
             const myPrivate = privateSnapshot.val() || {};
 
-            // Get my hand (only I can see my own cards)
-            const myHand = players[playerId]?.hand || [];
+            // Get my hand (face down, except the cards I may see right now)
+            const myHand = myPrivate.hand || [];
+
+            const ruleSet = await this._getRuleSet(roomId);
+
+            if (await this._isHost(roomId)) {
+                this._runHost(roomId, gameState, players);
+            }
 
             callback({
                 gameState,
                 players: this._maskPlayers(players, playerId),
                 myHand,
                 myPrivate,
+                ruleSet,
             });
         });
 
@@ -383,7 +559,55 @@ class FirebaseService {
             // Private data updated - will be included in next gameState callback
         });
 
-        this.listeners.set(roomId, { gameStateListener, privateListener, gameStateRef, privateRef });
+        const hostRefs = this._watchHost(roomId, playerId);
+
+        this.listeners.set(roomId, { gameStateListener, privateListener, gameStateRef, privateRef, hostRefs, playerId });
+    }
+
+    /**
+     * Subscribe to a room as a spectator
+     * @param {Function} callback - Called with { gameState, players, ruleSet, spectators, director }
+     *   where `director` is { hands: { playerId: [card] }, asOf } in director mode, else null
+     */
+    listenAsSpectator(roomId, callback) {
+        const roomRef = this._roomRef(roomId);
+        const directorRef = ref(this.db, `director/${roomId}/view`);
+        let room = null;
+        let director = null;
+        let watchingDirector = false;
+
+        const render = () => {
+            callback({
+                gameState: room.gameState,
+                players: this._maskPlayers(room.players, null),
+                ruleSet: resolveRuleSet(room.ruleSet),
+                spectators: room.spectators || {},
+                director: room.config?.director?.enabled ? director : null,
+            });
+        };
+
+        // Readable once the host's client lists us as a viewer (see _publishDirector)
+        const watchDirector = async () => {
+            watchingDirector = true;
+            await this._signIn();
+            onValue(directorRef, (snapshot) => {
+                director = snapshot.val();
+                if (room) render();
+            }, () => {
+                // Not a viewer yet: try again on the next change to the room
+                watchingDirector = false;
+                director = null;
+            });
+        };
+
+        onValue(roomRef, (snapshot) => {
+            if (!snapshot.exists()) return;
+            room = snapshot.val();
+            if (room.config?.director?.enabled && !watchingDirector) watchDirector();
+            render();
+        });
+
+        this.listeners.set(roomId, { gameStateRef: roomRef, privateRef: directorRef });
     }
 
     /**
@@ -394,8 +618,18 @@ class FirebaseService {
         if (listener) {
             off(listener.gameStateRef);
             off(listener.privateRef);
+            for (const hostRef of listener.hostRefs || []) off(hostRef);
             this.listeners.delete(roomId);
+
+            // Gone from the table: someone else may take over as host
+            if (listener.playerId) {
+                const onlineRef = ref(this.db, `rooms/${roomId}/players/${listener.playerId}/online`);
+                onDisconnect(onlineRef).cancel()
+                    .then(() => set(onlineRef, false))
+                    .catch(() => {}); // Already left the room
+            }
         }
+        this._stopHosting(roomId);
     }
 
     /**
@@ -411,13 +645,22 @@ class FirebaseService {
                 ...player,
                 hand: pid === myPlayerId
                     ? playerHand
-                    : playerHand.map(() => ({ hidden: true })),
-                cardCount: playerHand.length,
+                    : playerHand.map(card => (card.empty ? card : { hidden: true })),
+                cardCount: playerHand.filter(card => !card.empty).length,
             };
         }
         return masked;
     }
 
+    /**
+     * Read a room's ordered event log, e.g. for KabulGame.replay (Host Only)
+     */
+    async getEvents(roomId) {
+        await this._signIn();
+        const snapshot = await get(ref(this.db, `engines/${roomId}/events`));
+        return snapshot.val() || [];
+    }
+
     // ==================== MAIN ACTION DISPATCHER ====================
 
     /**
@@ -428,796 +671,674 @@ class FirebaseService {
      * @param {Object} payload - Action-specific data
      */
     async performAction(roomId, playerId, actionType, payload = {}) {
+        if (!(await this._isHost(roomId))) {
+            return this._request(roomId, { playerId, actionType, payload });
+        }
+        return this._dispatch(roomId, (state) =>
+            this._toEngineAction(state, playerId, actionType, payload)
+        );
+    }
+
+    /**
+     * Play a fully-formed reducer action, e.g. one from legalActions
+     */
+    async dispatchAction(roomId, action) {
+        if (!(await this._isHost(roomId))) {
+            return this._request(roomId, { playerId: action.playerId, action });
+        }
+        return this._dispatch(roomId, () => action);
+    }
+
+    /**
+     * Everything `playerId` may do in the room, as reducer actions
+     * (as of the last change, see private/{roomId}/{playerId}/legalActions)
+     */
+    async getLegalActions(roomId, playerId) {
+        await this._signIn();
+        const snapshot = await get(ref(this.db, `private/${roomId}/${playerId}/legalActions`));
+        return snapshot.val() || [];
+    }
+
+    /**
+     * Translate a UI action into a fully-formed reducer action
+     */
+    _toEngineAction(state, playerId, actionType, payload) {
+        const pendingType = state.pendingAction?.playerId === playerId
+            ? state.pendingAction.type
+            : null;
+
         switch (actionType) {
             case ACTION.DRAW_DECK:
-                return this._drawCard(roomId, playerId, 'deck');
+                return { type: ACTION_TYPES.DRAW, playerId, source: 'deck' };
             case ACTION.DRAW_DISCARD:
-                return this._drawCard(roomId, playerId, 'discard');
+                return { type: ACTION_TYPES.DRAW, playerId, source: 'discard' };
             case ACTION.SWAP_CARD:
-                return this._swapCard(roomId, playerId, payload.handIndex);
+                return { type: ACTION_TYPES.SWAP, playerId, handIndex: payload.handIndex };
             case ACTION.DISCARD_DRAWN:
-                return this._discardDrawn(roomId, playerId);
+                return { type: ACTION_TYPES.DISCARD, playerId };
             case ACTION.SLAP_MATCH:
-                return this._slapMatch(roomId, playerId, payload.handIndex);
+                return { type: ACTION_TYPES.SLAP, playerId, handIndex: payload.handIndex };
+            case ACTION.SNAP_OPPONENT:
+                return {
+                    type: ACTION_TYPES.SNAP_OPPONENT,
+                    playerId,
+                    targetId: payload.targetPlayerId,
+                    handIndex: payload.handIndex,
+                };
+            case ACTION.GIVE_CARD:
+                return { type: ACTION_TYPES.GIVE_CARD, playerId, handIndex: payload.handIndex };
             case ACTION.CALL_KABUL:
-                return this._callKabul(roomId, playerId);
+                return { type: ACTION_TYPES.CALL_KABUL, playerId };
 
             // Ability actions
             case ACTION.SELECT_OWN_CARD:
-                return this._selectOwnCard(roomId, playerId, payload.handIndex);
-            case ACTION.SELECT_ENEMY_CARD:
-                return this._selectEnemyCard(roomId, playerId, payload.targetPlayerId, payload.handIndex);
-            case ACTION.SELECT_TARGET_PLAYER:
-                return this._selectTargetPlayer(roomId, playerId, payload.targetPlayerId);
+                if (pendingType !== ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK) {
+                    throw new Error('Wrong ability type');
+                }
+                return { type: ACTION_TYPES.PEEK_OWN, playerId, handIndex: payload.handIndex };
+
+            case ACTION.SELECT_ENEMY_CARD: {
+                const swap = {
+                    playerId,
+                    ownIndex: payload.ownIndex,
+                    targetId: payload.targetPlayerId,
+                    targetIndex: payload.handIndex,
+                };
+                switch (pendingType) {
+                    case ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK:
+                        return {
+                            type: ACTION_TYPES.PEEK_ENEMY,
+                            playerId,
+                            targetId: payload.targetPlayerId,
+                            handIndex: payload.handIndex,
+                        };
+                    case ACTION_STATES.SWAPPING_CARDS:
+                        return { type: ACTION_TYPES.BLIND_SWAP, ...swap };
+                    case ACTION_STATES.SEE_AND_SWAPPING_CARDS:
+                        return { type: ACTION_TYPES.REVEAL_SWAP, ...swap };
+                    default:
+                        throw new Error('Wrong ability type');
+                }
+            }
+
             case ACTION.CONFIRM_SWAP:
-                return this._confirmSwap(roomId, playerId, payload.ownIndex, payload.targetIndex);
+                return { type: ACTION_TYPES.CONFIRM_SWAP, playerId };
             case ACTION.SKIP_ABILITY:
-                return this._skipAbility(roomId, playerId);
+                return { type: ACTION_TYPES.SKIP_ABILITY, playerId };
 
             default:
                 throw new Error(`Unknown action type: ${actionType}`);
         }
     }
 
-    // ==================== DRAW ACTIONS (with Transaction) ====================
+    // ==================== TICKS ====================
 
-    async _drawCard(roomId, playerId, source) {
-        const deckRef = this._deckRef(roomId);
-        const gameStateRef = this._gameStateRef(roomId);
-        const privateRef = this._privateRef(roomId, playerId);
+    _scheduleTick(roomId, tickAt) {
+        this.clock.cancel(this.tickHandles.get(roomId));
+        this.tickHandles.delete(roomId);
+        if (!tickAt) return;
 
-        // Get current deck state first
-        const deckSnapshot = await get(deckRef);
-        const deckData = deckSnapshot.val();
+        const handle = this.clock.schedule(tickAt - this.clock.now(), () => this.tick(roomId));
+        this.tickHandles.set(roomId, handle);
+    }
 
-        if (!deckData || deckData.length === 0) {
-            throw new Error('Deck is empty');
+    /**
+     * Apply whatever timed transition is due (end of memorize, end of a peek,
+     * a turn timeout). Host Only; a no-op when nothing is due yet.
+     */
+    async tick(roomId) {
+        try {
+            return await this._dispatch(roomId, (state) => {
+                const tickAt = getNextTickAt(state);
+                return tickAt !== null && this.clock.now() >= tickAt ? { type: ACTION_TYPES.TICK } : null;
+            });
+        } catch (err) {
+            console.error('Failed to apply tick:', err);
         }
+    }
 
-        // Get fresh game state
-        const gameStateSnapshot = await get(gameStateRef);
-        const gameState = gameStateSnapshot.val();
+    // ==================== BOTS ====================
 
-        // Validate turn
-        if (gameState.currentTurn !== playerId) {
-            throw new Error('Not your turn');
+    /**
+     * Give every bot in the room its think time to react to the latest change.
+     */
+    _scheduleBots(roomId, players) {
+        for (const handle of this.botHandles.get(roomId)?.values() || []) {
+            this.clock.cancel(handle);
         }
-        if (gameState.turnPhase !== TURN_PHASE.DRAWING) {
-            throw new Error('Invalid turn phase');
+
+        const handles = new Map();
+        for (const [pid, player] of Object.entries(players)) {
+            if (!player.isBot) continue;
+            const { thinkTime } = getBotProfile(player.botDifficulty);
+            handles.set(pid, this.clock.schedule(thinkTime, () => this._runBot(roomId, pid)));
         }
+        this.botHandles.set(roomId, handles);
+    }
 
-        let drawnCard;
-        if (source === 'deck') {
-            // Simple get/set approach - no transaction issues
-            const deckSnapshot = await get(deckRef);
-            const deck = deckSnapshot.val();
+    async _runBot(roomId, botId) {
+        try {
+            return await this._dispatch(roomId, (state) =>
+                chooseBotAction(state, botId, { now: this.clock.now() })
+            );
+        } catch (err) {
+            console.error(`Bot ${botId} failed to play:`, err);
+        }
+    }
 
-            if (!deck || deck.length === 0) {
-                throw new Error('Deck is empty after validation');
-            }
+    // ==================== HOSTING ====================
 
-            // Draw top card
-            drawnCard = deck.shift();
+    /**
+     * The host's client runs the game: the clock, the bots and everyone's requests
+     */
+    _runHost(roomId, gameState, players) {
+        this._scheduleTick(roomId, gameState?.nextTickAt);
+        const botsPlay = ['MEMORIZE', 'PLAYING'].includes(gameState?.phase);
+        this._scheduleBots(roomId, botsPlay ? players : {});
+        this._listenToRequests(roomId);
+    }
 
-            // Update deck in Firebase
-            await set(deckRef, deck);
+    _stopHosting(roomId) {
+        if (this.requestRefs.has(roomId)) {
+            off(this.requestRefs.get(roomId));
+            this.requestRefs.delete(roomId);
+        }
+        this.clock.cancel(this.tickHandles.get(roomId));
+        this.tickHandles.delete(roomId);
+        this._scheduleBots(roomId, {});
+        this._stopDirector(roomId);
+    }
 
-            // Update deck count
-            await update(gameStateRef, {
-                deckCount: deck.length,
-                turnPhase: TURN_PHASE.DISCARDING,
+    /**
+     * Keep `players/{playerId}/online` up to date, follow who hosts the room
+     * and take over when the host is gone (see _claimHost).
+     * @returns {Object[]} The refs listened to
+     */
+    _watchHost(roomId, playerId) {
+        const connectedRef = ref(this.db, '.info/connected');
+        const onlineRef = ref(this.db, `rooms/${roomId}/players/${playerId}/online`);
+        const configRef = ref(this.db, `rooms/${roomId}/config`);
+        const playersRef = ref(this.db, `rooms/${roomId}/players`);
+        let config = null;
+        let players = {};
+
+        this._signIn().then((uid) => {
+            onValue(connectedRef, (snapshot) => {
+                if (!snapshot.val()) return;
+                // The server marks us offline as soon as this client drops
+                onDisconnect(onlineRef).set(false)
+                    .then(() => set(onlineRef, true))
+                    .catch(err => console.error('Failed to update presence:', err));
             });
-        } else {
-            // Draw from discard pile - simple get/set
-            const discardRef = this._discardRef(roomId);
-            const discardSnapshot = await get(discardRef);
-            const pile = discardSnapshot.val();
 
-            if (!pile || pile.length === 0) {
-                throw new Error('Discard pile is empty');
-            }
+            const check = () => {
+                if (!config) return;
+                const isHost = config.hostUid === uid;
+                if (isHost !== this.hostRooms.get(roomId)) {
+                    this.hostRooms.set(roomId, isHost);
+                    if (isHost) {
+                        Promise.all([get(this._gameStateRef(roomId)), get(playersRef)])
+                            .then(([gameState, all]) => this._runHost(roomId, gameState.val(), all.val() || {}))
+                            .catch(err => console.error('Failed to take over the game:', err));
+                    } else {
+                        this._stopHosting(roomId);
+                    }
+                }
+                if (!isHost) this._claimHost(roomId, playerId, uid, config, players);
+            };
 
-            // Pop top card
-            drawnCard = pile.pop();
+            onValue(configRef, (snapshot) => {
+                config = snapshot.val();
+                check();
+            });
+            onValue(playersRef, (snapshot) => {
+                players = snapshot.val() || {};
+                check();
+            });
+        }).catch(err => console.error('Failed to sign in:', err));
 
-            // Update discard pile
-            await set(discardRef, pile);
+        return [connectedRef, configRef, playersRef];
+    }
 
-            // Update top discard in game state
-            await update(gameStateRef, {
-                topDiscard: pile.length > 0 ? pile[pile.length - 1] : null,
-                turnPhase: TURN_PHASE.DISCARDING,
+    /**
+     * Take over as host if the host is offline (or gone) and this is the
+     * first online player in seat order. The transaction makes sure only one
+     * client takes over; the rules only allow it while the host is offline.
+     */
+    async _claimHost(roomId, playerId, uid, config, players) {
+        const host = players[config.hostId];
+        if (host && host.online !== false) return;
+
+        const [first] = Object.entries(players)
+            .filter(([, player]) => !player.isBot && player.online === true)
+            .sort(([, a], [, b]) => (a.seat ?? 0) - (b.seat ?? 0));
+        if (first?.[0] !== playerId || this.claiming.has(roomId)) return;
+
+        this.claiming.add(roomId);
+        try {
+            const { committed } = await runTransaction(ref(this.db, `rooms/${roomId}/config`), (current) => {
+                // Someone else took over already
+                if (!current || current.hostId !== config.hostId) return;
+                return { ...current, hostId: playerId, hostUid: uid, hostName: players[playerId].name };
             });
+            if (committed) {
+                const flags = { [`${playerId}/isHost`]: true };
+                if (host) flags[`${config.hostId}/isHost`] = false;
+                await update(ref(this.db, `rooms/${roomId}/players`), flags);
+            }
+        } catch (err) {
+            console.error('Failed to take over as host:', err);
+        } finally {
+            this.claiming.delete(roomId);
         }
-
-        // Store drawn card in player's private node
-        await set(privateRef, {
-            drawnCard: {
-                rank: drawnCard.rank,
-                suit: drawnCard.suit,
-                value: drawnCard.value,
-                display: drawnCard.display,
-                actionType: CARD_ABILITIES[drawnCard.rank] || 'NONE',
-            },
-        });
-
-        return { success: true, card: drawnCard };
     }
 
-    // ==================== SWAP / DISCARD ====================
-
-    async _swapCard(roomId, playerId, handIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playerRef = this._playerRef(roomId, playerId);
-        const privateRef = this._privateRef(roomId, playerId);
-        const discardRef = this._discardRef(roomId);
-
-        // Get current state
-        const [gameStateSnap, playerSnap, privateSnap] = await Promise.all([
-            get(gameStateRef),
-            get(playerRef),
-            get(privateRef),
-        ]);
-
-        const gameState = gameStateSnap.val();
-        const player = playerSnap.val();
-        const privateData = privateSnap.val();
-
-        // Validate
-        if (gameState.currentTurn !== playerId) throw new Error('Not your turn');
-        if (gameState.turnPhase !== TURN_PHASE.DISCARDING) throw new Error('Must draw first');
-        if (!privateData?.drawnCard) throw new Error('No card drawn');
-        if (handIndex < 0 || handIndex >= player.hand.length) throw new Error('Invalid hand index');
-
-        const drawnCard = privateData.drawnCard;
-        const replacedCard = player.hand[handIndex];
-
-        // Update hand
-        const newHand = [...player.hand];
-        newHand[handIndex] = {
-            rank: drawnCard.rank,
-            suit: drawnCard.suit,
-            value: drawnCard.value,
-            display: drawnCard.display,
-        };
+    // ==================== REQUESTS ====================
 
-        // Add replaced card to discard
-        await runTransaction(discardRef, (pile) => {
-            pile = pile || [];
-            pile.push(replacedCard);
-            return pile;
+    /**
+     * Ask the host's client to play an action for `playerId`, and wait for its answer
+     * @param {Object} request - { playerId, actionType, payload } or { playerId, action }
+     */
+    async _request(roomId, request) {
+        const uid = await this._signIn();
+        const requestRef = push(ref(this.db, `rooms/${roomId}/requests`));
+        const responseRef = ref(this.db, `responses/${roomId}/${uid}/${requestRef.key}`);
+
+        let unsubscribe = null;
+        let timeout = null;
+        const answered = new Promise((resolve, reject) => {
+            unsubscribe = onValue(responseRef, (snapshot) => {
+                if (snapshot.exists()) resolve(snapshot.val());
+            });
+            timeout = this.clock.schedule(REQUEST_TIMEOUT, () => reject(new Error('The host is not responding')));
         });
 
-        // Update player hand
-        await update(playerRef, { hand: newHand });
-
-        // Update game state
-        await update(gameStateRef, { topDiscard: replacedCard });
-
-        // Clear private drawn card
-        await set(privateRef, { drawnCard: null });
-
-        // Check if replaced card has ability
-        const ability = CARD_ABILITIES[replacedCard.rank];
-        if (ability) {
-            return this._initiateAbility(roomId, playerId, ability, replacedCard);
+        try {
+            // JSON round-trip drops undefined values, which Firebase rejects
+            await set(requestRef, JSON.parse(JSON.stringify({ ...request, uid })));
+            const response = await answered;
+            if (!response.success) throw new Error(response.error);
+            return { success: true, events: response.events || [] };
+        } finally {
+            unsubscribe();
+            this.clock.cancel(timeout);
+            remove(responseRef).catch(() => {});
         }
-
-        // No ability - advance turn
-        return this._advanceTurn(roomId, playerId);
     }
 
-    async _discardDrawn(roomId, playerId) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const privateRef = this._privateRef(roomId, playerId);
-        const discardRef = this._discardRef(roomId);
-
-        const [gameStateSnap, privateSnap] = await Promise.all([
-            get(gameStateRef),
-            get(privateRef),
-        ]);
-
-        const gameState = gameStateSnap.val();
-        const privateData = privateSnap.val();
-
-        if (gameState.currentTurn !== playerId) throw new Error('Not your turn');
-        if (gameState.turnPhase !== TURN_PHASE.DISCARDING) throw new Error('Must draw first');
-        if (!privateData?.drawnCard) throw new Error('No card drawn');
-
-        const discardedCard = privateData.drawnCard;
-
-        // Add to discard pile
-        await runTransaction(discardRef, (pile) => {
-            pile = pile || [];
-            pile.push(discardedCard);
-            return pile;
-        });
-
-        // Update top discard
-        await update(gameStateRef, { topDiscard: discardedCard });
+    /**
+     * Answer other players' requests as they come in (Host Only)
+     */
+    _listenToRequests(roomId) {
+        if (this.requestRefs.has(roomId)) return;
 
-        // Clear private
-        await set(privateRef, { drawnCard: null });
+        const requestsRef = ref(this.db, `rooms/${roomId}/requests`);
+        onChildAdded(requestsRef, (snapshot) => this._answerRequest(roomId, snapshot.key, snapshot.val()));
+        this.requestRefs.set(roomId, requestsRef);
+    }
 
-        // Check ability
-        const ability = CARD_ABILITIES[discardedCard.rank];
-        if (ability) {
-            return this._initiateAbility(roomId, playerId, ability, discardedCard);
+    async _answerRequest(roomId, requestId, request) {
+        let response;
+        try {
+            const { events } = await this._dispatch(roomId, (state, room) => {
+                // Players only act for their own seat
+                if (room.players?.[request.playerId]?.uid !== request.uid) {
+                    throw new Error('Not your seat');
+                }
+                const action = request.action
+                    || this._toEngineAction(state, request.playerId, request.actionType, request.payload || {});
+                if (HOST_ACTIONS.includes(action.type)) {
+                    throw new Error(`Only the host can play ${action.type}`);
+                }
+                if (action.playerId !== request.playerId) {
+                    throw new Error('Not your seat');
+                }
+                return action;
+            });
+            // Event types only: the events themselves may carry other players' cards
+            response = { success: true, events: events.map(({ type }) => ({ type })) };
+        } catch (err) {
+            response = { success: false, error: err.message };
         }
 
-        return this._advanceTurn(roomId, playerId);
+        try {
+            await update(ref(this.db), {
+                [`rooms/${roomId}/requests/${requestId}`]: null,
+                [`responses/${roomId}/${request.uid}/${requestId}`]: response,
+            });
+        } catch (err) {
+            console.error('Failed to answer request:', err);
+        }
     }
 
-    // ==================== ABILITY HANDLING ====================
+    // ==================== REDUCER DISPATCH ====================
 
-    async _initiateAbility(roomId, playerId, ability, card) {
-        const gameStateRef = this._gameStateRef(roomId);
-
-        let turnPhase, abilityState;
-
-        switch (ability) {
-            case 'PEEK_SELF':
-                // 7/8: Select own card to peek
-                turnPhase = TURN_PHASE.SELECTING_OWN_CARD;
-                abilityState = {
-                    type: 'PEEK_SELF',
-                    activePlayer: playerId,
-                    step: 'SELECTING',
-                };
-                break;
-
-            case 'PEEK_ENEMY':
-                // 9/10: Select target player first, then card
-                turnPhase = TURN_PHASE.SELECTING_TARGET;
-                abilityState = {
-                    type: 'PEEK_ENEMY',
-                    activePlayer: playerId,
-                    targetPlayer: null,
-                    targetCardIndex: null,
-                    step: 'SELECTING_PLAYER',
-                };
-                break;
-
-            case 'BLIND_SWAP':
-                // J: Select own card and target card (without seeing)
-                turnPhase = TURN_PHASE.SELECTING_TARGET;
-                abilityState = {
-                    type: 'BLIND_SWAP',
-                    activePlayer: playerId,
-                    ownCardIndex: null,
-                    targetPlayer: null,
-                    targetCardIndex: null,
-                    step: 'SELECTING_OWN',
-                };
-                break;
-
-            case 'SEE_AND_SWAP':
-                // Q/K: Multi-step - select target, reveal, then swap
-                turnPhase = TURN_PHASE.SELECTING_TARGET;
-                abilityState = {
-                    type: 'SEE_AND_SWAP',
-                    activePlayer: playerId,
-                    ownCardIndex: null,
-                    targetPlayer: null,
-                    targetCardIndex: null,
-                    revealedCardValue: null,
-                    step: 'SELECTING_OWN',
-                };
-                break;
+    /**
+     * Run reducer actions against the room's engine state (Host Only).
+     * Dispatches run one at a time, each on the state the last one wrote.
+     * @param {string} roomId
+     * @param {Function} makeActions - (state, room) => action | action[] | null (no-op)
+     * @returns {Promise<{ success: boolean, events: Object[] }>}
+     */
+    async _dispatch(roomId, makeActions) {
+        if (!(await this._isHost(roomId))) {
+            throw new Error('Only the host can run the game');
         }
 
-        await update(gameStateRef, {
-            turnPhase,
-            abilityState,
-        });
-
-        return { success: true, abilityInitiated: ability };
+        return this._enqueue(roomId, () => this._applyActions(roomId, makeActions));
     }
 
-    // ==================== PEEK SELF (7/8) ====================
-
-    async _selectOwnCard(roomId, playerId, handIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playerRef = this._playerRef(roomId, playerId);
-        const privateRef = this._privateRef(roomId, playerId);
+    /**
+     * Run `fn` after everything queued for the room before it (failed or not).
+     */
+    _enqueue(roomId, fn) {
+        const run = (this.queues.get(roomId) || Promise.resolve())
+            .catch(() => {})
+            .then(fn);
+        this.queues.set(roomId, run);
+        return run;
+    }
 
-        const [gameStateSnap, playerSnap] = await Promise.all([
-            get(gameStateRef),
-            get(playerRef),
+    async _applyActions(roomId, makeActions) {
+        // The state and the next log position only: the log itself is never read back
+        const [roomSnapshot, stateSnapshot, seqSnapshot] = await Promise.all([
+            get(this._roomRef(roomId)),
+            get(ref(this.db, `engines/${roomId}/state`)),
+            get(ref(this.db, `engines/${roomId}/nextSeq`)),
         ]);
-
-        const gameState = gameStateSnap.val();
-        const player = playerSnap.val();
-
-        // Validate
-        if (gameState.abilityState?.activePlayer !== playerId) {
-            throw new Error('Not your ability turn');
-        }
-        if (gameState.abilityState?.type !== 'PEEK_SELF') {
-            throw new Error('Wrong ability type');
+        if (!roomSnapshot.exists()) throw new Error('Room not found');
+        const room = roomSnapshot.val();
+
+        // Firebase drops empty arrays; makeActions gets the full shape
+        let state = stateSnapshot.exists() ? normalizeState(stateSnapshot.val()) : createInitialState(roomId, room.ruleSet);
+        const actions = makeActions(state, room);
+        if (!actions) return { success: true, events: [] }; // nothing to do
+
+        const at = this.clock.now();
+        let seq = seqSnapshot.val() || 0;
+        const entries = [];
+        const events = [];
+        for (const action of [].concat(actions)) {
+            const stamped = { ...action, at };
+            const out = applyAction(state, stamped);
+            state = out.state;
+            events.push(...out.events);
+            entries.push({ seq: seq++, action: stamped, events: out.events });
         }
 
-        const card = player.hand[handIndex];
+        // One atomic write, so nobody sees the public table and the private views disagree
+        await update(ref(this.db), this._projectRoom(roomId, room, state, entries));
 
-        // Reveal card ONLY to this player via private node
-        await set(privateRef, {
-            revealedCard: {
-                position: handIndex,
-                rank: card.rank,
-                suit: card.suit,
-                value: card.value,
-                display: card.display,
-                expiresAt: Date.now() + 3000, // 3 second reveal
-            },
-        });
+        // Don't rely on a listener being attached to keep the game moving
+        this._scheduleTick(roomId, getNextTickAt(state));
+        await this._publishDirector(roomId, room, entries);
 
-        // Complete ability and advance turn
-        await update(gameStateRef, {
-            turnPhase: TURN_PHASE.WAITING,
-            abilityState: null,
-        });
-
-        // Schedule cleanup and turn advance
-        setTimeout(async () => {
-            await set(privateRef, { revealedCard: null });
-            await this._advanceTurn(roomId, playerId);
-        }, 3000);
-
-        return { success: true, revealed: card };
+        return { success: true, events };
     }
 
-    // ==================== PEEK ENEMY (9/10) ====================
+    // ==================== DIRECTOR MODE ====================
 
-    async _selectEnemyCard(roomId, playerId, targetPlayerId, handIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const targetPlayerRef = this._playerRef(roomId, targetPlayerId);
-        const privateRef = this._privateRef(roomId, playerId);
-
-        const [gameStateSnap, targetSnap] = await Promise.all([
-            get(gameStateRef),
-            get(targetPlayerRef),
-        ]);
-
-        const gameState = gameStateSnap.val();
-        const target = targetSnap.val();
-
-        if (gameState.abilityState?.activePlayer !== playerId) {
-            throw new Error('Not your ability turn');
-        }
-        if (gameState.abilityState?.type !== 'PEEK_ENEMY') {
-            throw new Error('Wrong ability type');
-        }
-        if (targetPlayerId === playerId) {
-            throw new Error('Cannot peek your own card with 9/10');
+    /**
+     * Publish every hand as it was `delay` ms ago to director/{roomId}/view,
+     * which only the room's spectators may read (Host Only). The replay picks
+     * up where the last one stopped, and the next publish is due once the
+     * next move is `delay` old.
+     * @param {Object[]} [entries] - Log entries written since the last publish
+     */
+    async _publishDirector(roomId, room, entries = []) {
+        const previous = this.directors.get(roomId);
+        this._stopDirector(roomId);
+
+        const settings = room.config?.director;
+        if (!settings?.enabled) {
+            if (previous) {
+                remove(ref(this.db, `director/${roomId}`))
+                    .catch(err => console.error('Failed to clear the director view:', err));
+            }
+            return;
         }
 
-        const card = target.hand[handIndex];
+        // The first publish reads the log once; later ones only add the new entries
+        let log;
+        if (previous) {
+            log = previous.log;
+            log.push(...entries);
+        } else {
+            try {
+                const snapshot = await get(ref(this.db, `engines/${roomId}/events`));
+                log = snapshot.val() || [];
+            } catch (err) {
+                console.error('Failed to read the event log:', err);
+                return;
+            }
+        }
 
-        // Reveal to active player ONLY
-        await set(privateRef, {
-            revealedCard: {
-                position: handIndex,
-                targetPlayerId,
-                rank: card.rank,
-                suit: card.suit,
-                value: card.value,
-                display: card.display,
-                expiresAt: Date.now() + 3000,
-            },
-        });
+        // The log only grows, so the last replay is always a prefix of it
+        const replay = previous?.replay || { seq: 0, state: createInitialState(roomId, room.ruleSet) };
+        const asOf = this.clock.now() - settings.delay;
+        for (; replay.seq < log.length && log[replay.seq].action.at <= asOf; replay.seq++) {
+            replay.state = applyAction(replay.state, log[replay.seq].action).state;
+        }
 
-        await update(gameStateRef, {
-            turnPhase: TURN_PHASE.WAITING,
-            abilityState: null,
-        });
+        const next = log[replay.seq];
+        const handle = next
+            ? this.clock.schedule(next.action.at + settings.delay - this.clock.now(), () => this._publishDirector(roomId, room))
+            : null;
+        this.directors.set(roomId, { log, replay, handle });
+
+        const hands = {};
+        for (const [pid, player] of Object.entries(replay.state.players)) {
+            hands[pid] = player.hand.map((card, i) => (card
+                ? { rank: card.rank, suit: card.suit, value: card.value, display: card.display }
+                : { position: i, empty: true }));
+        }
 
-        setTimeout(async () => {
-            await set(privateRef, { revealedCard: null });
-            await this._advanceTurn(roomId, playerId);
-        }, 3000);
+        // Spectators only: a seated player's uid never gets to see the hands
+        const seated = new Set(Object.values(room.players || {}).map(p => p.uid));
+        const viewers = {};
+        for (const { uid } of Object.values(room.spectators || {})) {
+            if (uid && !seated.has(uid)) viewers[uid] = true;
+        }
 
-        return { success: true, revealed: card };
+        // JSON round-trip drops undefined values, which Firebase rejects
+        set(ref(this.db, `director/${roomId}`), JSON.parse(JSON.stringify({ viewers, view: { hands, asOf } })))
+            .catch(err => console.error('Failed to publish the director view:', err));
     }
 
-    // ==================== BLIND SWAP (J) ====================
+    _stopDirector(roomId) {
+        this.clock.cancel(this.directors.get(roomId)?.handle);
+        this.directors.delete(roomId);
+    }
 
-    async _handleBlindSwapStep(roomId, playerId, payload) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const gameStateSnap = await get(gameStateRef);
-        const gameState = gameStateSnap.val();
-        const ability = gameState.abilityState;
+    // ==================== PROJECTIONS ====================
 
-        if (ability?.activePlayer !== playerId || ability?.type !== 'BLIND_SWAP') {
-            throw new Error('Invalid ability state');
+    /**
+     * The database writes for an engine state: the state itself and the new
+     * log entries (engines/, host only), the public views in the room
+     * (gameState, players, discardPile) and each player's private view (private/).
+     */
+    _projectRoom(roomId, room, state, entries) {
+        const updates = {
+            [`engines/${roomId}/state`]: state,
+            [`engines/${roomId}/nextSeq`]: entries[entries.length - 1].seq + 1,
+        };
+        // The log is append-only: earlier entries are never written again
+        for (const entry of entries) {
+            updates[`engines/${roomId}/events/${entry.seq}`] = entry;
         }
+        Object.assign(updates, {
+            [`rooms/${roomId}/gameState`]: this._projectGameState(state),
+            [`rooms/${roomId}/discardPile`]: state.discardPile,
+        });
 
-        switch (ability.step) {
-            case 'SELECTING_OWN':
-                // Step 1: Player selects their own card
-                await update(gameStateRef, {
-                    'abilityState/ownCardIndex': payload.ownIndex,
-                    'abilityState/step': 'SELECTING_TARGET',
-                });
-                return { success: true, step: 'SELECTING_TARGET' };
-
-            case 'SELECTING_TARGET':
-                // Step 2: Player selects target player
-                await update(gameStateRef, {
-                    'abilityState/targetPlayer': payload.targetPlayerId,
-                    'abilityState/step': 'SELECTING_TARGET_CARD',
-                });
-                return { success: true, step: 'SELECTING_TARGET_CARD' };
-
-            case 'SELECTING_TARGET_CARD':
-                // Step 3: Player selects target card - execute swap
-                return this._executeBlindSwap(roomId, playerId, ability.ownCardIndex, ability.targetPlayer, payload.targetIndex);
+        // Lobby fields (name, seat, uid) stay as they are; players who left stay gone
+        for (const pid of Object.keys(room.players || {})) {
+            const enginePlayer = state.players[pid];
+            if (!enginePlayer) continue;
+
+            const path = `rooms/${roomId}/players/${pid}`;
+            Object.assign(updates, {
+                [`${path}/hand`]: this._publicHand(state, enginePlayer),
+                [`${path}/cardCount`]: countCards(enginePlayer.hand),
+                [`${path}/hasCalledKabul`]: enginePlayer.hasCalledKabul,
+                [`${path}/handValue`]: enginePlayer.handValue ?? null,
+                [`${path}/scoreAdjustment`]: enginePlayer.scoreAdjustment ?? null,
+                [`${path}/finalScore`]: enginePlayer.finalScore ?? null,
+                [`${path}/score`]: enginePlayer.score,
+                [`${path}/eliminated`]: enginePlayer.eliminated,
+                [`${path}/timeBank`]: enginePlayer.timeBank,
+            });
         }
-    }
-
-    async _executeBlindSwap(roomId, playerId, ownIndex, targetPlayerId, targetIndex) {
-        const playerRef = this._playerRef(roomId, playerId);
-        const targetRef = this._playerRef(roomId, targetPlayerId);
-        const gameStateRef = this._gameStateRef(roomId);
-
-        const [playerSnap, targetSnap] = await Promise.all([
-            get(playerRef),
-            get(targetRef),
-        ]);
-
-        const player = playerSnap.val();
-        const target = targetSnap.val();
-
-        // Swap cards (blind - no reveal)
-        const ownCard = player.hand[ownIndex];
-        const targetCard = target.hand[targetIndex];
-
-        const newPlayerHand = [...player.hand];
-        const newTargetHand = [...target.hand];
-
-        newPlayerHand[ownIndex] = targetCard;
-        newTargetHand[targetIndex] = ownCard;
 
-        await Promise.all([
-            update(playerRef, { hand: newPlayerHand }),
-            update(targetRef, { hand: newTargetHand }),
-        ]);
-
-        await update(gameStateRef, {
-            turnPhase: TURN_PHASE.WAITING,
-            abilityState: null,
-        });
+        for (const pid of state.turnOrder) {
+            updates[`private/${roomId}/${pid}`] = this._projectPrivate(state, pid);
+        }
 
-        return this._advanceTurn(roomId, playerId);
+        // JSON round-trip drops undefined values, which Firebase rejects
+        return JSON.parse(JSON.stringify(updates));
     }
 
-    // ==================== SEE AND SWAP (Q/K) ====================
-
     /**
-     * Step A: Player selects their own card to swap
+     * A hand as everyone may see it: face down until the round has ENDED.
+     * Empty slots are written out explicitly (Firebase drops nulls).
      */
-    async _seeSwapSelectOwn(roomId, playerId, ownIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-
-        await update(gameStateRef, {
-            'abilityState/ownCardIndex': ownIndex,
-            'abilityState/step': 'SELECTING_TARGET_PLAYER',
+    _publicHand(state, player) {
+        return player.hand.map((card, i) => {
+            if (!card) return { position: i, empty: true };
+            if (state.phase !== 'ENDED') return { position: i, hidden: true };
+            return { position: i, rank: card.rank, suit: card.suit, value: card.value, display: card.display };
         });
-
-        return { success: true, step: 'SELECTING_TARGET_PLAYER' };
     }
 
-    /**
-     * Step B: Player selects target player
-     */
-    async _seeSwapSelectTarget(roomId, playerId, targetPlayerId) {
-        const gameStateRef = this._gameStateRef(roomId);
-
-        await update(gameStateRef, {
-            'abilityState/targetPlayer': targetPlayerId,
-            'abilityState/step': 'SELECTING_TARGET_CARD',
-        });
+    _projectGameState(state) {
+        const pending = state.pendingAction;
+        const abilityState = pending && pending.type !== ACTION_STATES.PEEK_RESULT
+            ? {
+                type: PENDING_ABILITIES[pending.type],
+                activePlayer: pending.playerId,
+                ownCardIndex: pending.ownIndex ?? null,
+                targetPlayer: pending.targetId ?? null,
+                targetCardIndex: pending.targetIndex ?? null,
+                step: pending.type === ACTION_STATES.CONFIRMING_SWAP ? 'CONFIRMING' : 'SELECTING',
+            }
+            : null;
 
-        return { success: true, step: 'SELECTING_TARGET_CARD' };
+        return {
+            phase: state.phase,
+            // The seed reproduces every deal, so it stays secret until the match is over
+            seed: state.matchOver ? state.seed : null,
+            seating: state.seating,
+            dealer: state.dealerId,
+            currentTurn: state.phase === 'WAITING' ? null : getCurrentPlayerId(state),
+            turnDeadline: state.turnDeadline,
+            timeoutAt: getTimeoutAt(state),
+            nextTickAt: getNextTickAt(state),
+            turnPhase: this._turnPhase(state),
+            abilityState,
+            topDiscard: state.topDiscard,
+            deckCount: state.deck.length,
+            decks: state.decks,
+            deckReshuffles: state.deckReshuffles,
+            snapWindow: state.snapWindow,
+            pendingGive: state.pendingGive,
+            memorizeEndsAt: state.memorizeEndsAt,
+            ready: state.ready,
+            kabulCaller: state.kabulCaller,
+            finalTurnsRemaining: state.kabulCaller ? state.finalTurnsRemaining : null,
+            winners: state.winners,
+            rankings: state.rankings,
+            round: state.round,
+            standings: state.standings,
+            matchOver: state.matchOver,
+            matchWinner: state.matchWinner,
+        };
     }
 
-    /**
-     * Step C: Player selects target card - REVEAL BOTH cards to player, then wait for confirmation
-     */
-    async _seeSwapReveal(roomId, playerId, targetIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const gameStateSnap = await get(gameStateRef);
-        const ability = gameStateSnap.val().abilityState;
-
-        const targetRef = this._playerRef(roomId, ability.targetPlayer);
-        const targetSnap = await get(targetRef);
-        const targetCard = targetSnap.val().hand[targetIndex];
+    _turnPhase(state) {
+        if (state.phase !== 'PLAYING') return TURN_PHASE.WAITING;
+        if (state.drawnCard) return TURN_PHASE.DISCARDING;
+
+        switch (state.pendingAction?.type) {
+            case undefined:
+                return TURN_PHASE.DRAWING;
+            case ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK:
+                return TURN_PHASE.SELECTING_OWN_CARD;
+            case ACTION_STATES.CONFIRMING_SWAP:
+                return TURN_PHASE.CONFIRMING_SWAP;
+            case ACTION_STATES.PEEK_RESULT:
+                return TURN_PHASE.WAITING;
+            default:
+                return TURN_PHASE.SELECTING_TARGET;
+        }
+    }
 
-        // Get own card for display
-        const playerRef = this._playerRef(roomId, playerId);
-        const playerSnap = await get(playerRef);
-        const ownCard = playerSnap.val().hand[ability.ownCardIndex];
+    _projectPrivate(state, playerId) {
+        const { memorize } = state.ruleSet.hand;
+        const view = {
+            // My own slots: face down, except my memorize positions while memorizing
+            hand: state.players[playerId].hand.map((card, i) => {
+                if (!card) return { position: i, empty: true };
+                const visible = state.phase === 'ENDED' || (state.phase === 'MEMORIZE' && memorize.includes(i));
+                return visible
+                    ? { position: i, rank: card.rank, suit: card.suit, value: card.value, display: card.display }
+                    : { position: i, hidden: true };
+            }),
+            drawnCard: null,
+            revealedCard: null,
+            swapPreview: null,
+            knowledge: getKnowledgeView(state, playerId),
+            legalActions: getLegalActions(state, playerId, this.clock.now()),
+        };
 
-        const privateRef = this._privateRef(roomId, playerId);
+        if (state.drawnCard?.playerId === playerId) {
+            const card = state.drawnCard.card;
+            view.drawnCard = {
+                rank: card.rank,
+                suit: card.suit,
+                value: card.value,
+                display: card.display,
+                actionType: card.actionType,
+                source: state.drawnCard.source,
+            };
+        }
 
-        // Store BOTH cards in swapPreview for client to display
-        await set(privateRef, {
-            swapPreview: {
+        const pending = state.pendingAction;
+        if (pending?.playerId !== playerId) return view;
+
+        if (pending.type === ACTION_STATES.PEEK_RESULT) {
+            // Reveal card ONLY to this player via private node
+            view.revealedCard = {
+                position: pending.handIndex,
+                targetPlayerId: pending.targetId === playerId ? null : pending.targetId,
+                rank: pending.card.rank,
+                suit: pending.card.suit,
+                value: pending.card.value,
+                display: pending.card.display,
+                expiresAt: pending.expiresAt,
+            };
+        } else if (pending.type === ACTION_STATES.CONFIRMING_SWAP) {
+            // Store BOTH cards in swapPreview for client to display
+            const { ownCard, targetCard } = pending.revealedCards;
+            view.swapPreview = {
                 ownCard: {
-                    position: ability.ownCardIndex,
+                    position: pending.ownIndex,
                     rank: ownCard.rank,
                     suit: ownCard.suit,
                     value: ownCard.value,
                     display: ownCard.display,
                 },
                 targetCard: {
-                    position: targetIndex,
-                    targetPlayerId: ability.targetPlayer,
+                    position: pending.targetIndex,
+                    targetPlayerId: pending.targetId,
                     rank: targetCard.rank,
                     suit: targetCard.suit,
                     value: targetCard.value,
                     display: targetCard.display,
                 },
-            },
-        });
-
-        await update(gameStateRef, {
-            'abilityState/targetCardIndex': targetIndex,
-            'abilityState/step': 'CONFIRMING',
-            turnPhase: TURN_PHASE.CONFIRMING_SWAP,
-        });
-
-        return {
-            success: true,
-            step: 'CONFIRMING',
-            ownCard: { display: ownCard.display, value: ownCard.value },
-            targetCard: { display: targetCard.display, value: targetCard.value },
-        };
-    }
-
-    /**
-     * Step D: Player confirms swap - execute
-     */
-    async _confirmSwap(roomId, playerId, ownIndex, targetIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const gameStateSnap = await get(gameStateRef);
-        const ability = gameStateSnap.val().abilityState;
-
-        if (ability?.activePlayer !== playerId) {
-            throw new Error('Not your ability');
-        }
-
-        const playerRef = this._playerRef(roomId, playerId);
-        const targetRef = this._playerRef(roomId, ability.targetPlayer);
-        const privateRef = this._privateRef(roomId, playerId);
-
-        const [playerSnap, targetSnap] = await Promise.all([
-            get(playerRef),
-            get(targetRef),
-        ]);
-
-        const player = playerSnap.val();
-        const target = targetSnap.val();
-
-        // Execute swap
-        const ownCard = player.hand[ability.ownCardIndex];
-        const targetCard = target.hand[ability.targetCardIndex];
-
-        const newPlayerHand = [...player.hand];
-        const newTargetHand = [...target.hand];
-
-        newPlayerHand[ability.ownCardIndex] = targetCard;
-        newTargetHand[ability.targetCardIndex] = ownCard;
-
-        await Promise.all([
-            update(playerRef, { hand: newPlayerHand }),
-            update(targetRef, { hand: newTargetHand }),
-            set(privateRef, { swapPreview: null }),
-            update(gameStateRef, {
-                turnPhase: TURN_PHASE.WAITING,
-                abilityState: null,
-            }),
-        ]);
-
-        return this._advanceTurn(roomId, playerId);
-    }
-
-    // ==================== SLAP MATCH (Transaction for Race Condition) ====================
-
-    async _slapMatch(roomId, playerId, handIndex) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playerRef = this._playerRef(roomId, playerId);
-        const discardRef = this._discardRef(roomId);
-        const deckRef = this._deckRef(roomId);
-
-        // Get current state
-        const playerSnap = await get(playerRef);
-        const player = playerSnap.val();
-        const card = player.hand[handIndex];
-
-        if (!card) {
-            throw new Error('Card not found');
-        }
-
-        const discardSnap = await get(discardRef);
-        const pile = discardSnap.val() || [];
-        const topCard = pile[pile.length - 1];
-
-        if (!topCard) {
-            throw new Error('Discard pile is empty');
-        }
-
-        // Check if cards match
-        if (card.rank === topCard.rank) {
-            // SUCCESS: Remove card from hand, add to discard
-            const newHand = [...player.hand];
-            const removedCard = newHand.splice(handIndex, 1)[0];
-
-            // Update discard pile
-            pile.push(removedCard);
-            await set(discardRef, pile);
-
-            // Update player hand
-            await update(playerRef, { hand: newHand, cardCount: newHand.length });
-
-            // Update top discard in game state
-            await update(gameStateRef, { topDiscard: removedCard });
-
-            return { success: true, message: `Match! Removed ${removedCard.rank}` };
-        } else {
-            // FAIL: Draw penalty card from deck
-            const deckSnap = await get(deckRef);
-            const deck = deckSnap.val() || [];
-
-            if (deck.length > 0) {
-                const penaltyCard = deck.shift();
-
-                // Add penalty card to player's hand
-                const newHand = [...player.hand, penaltyCard];
-                await update(playerRef, { hand: newHand, cardCount: newHand.length });
-
-                // Update deck
-                await set(deckRef, deck);
-                await update(gameStateRef, { deckCount: deck.length });
-
-                return { success: false, message: `Wrong! +1 card (${penaltyCard.rank})` };
-            } else {
-                return { success: false, message: 'Wrong! No penalty (deck empty)' };
-            }
-        }
-    }
-
-    // ==================== KABUL ====================
-
-    async _callKabul(roomId, playerId) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playerRef = this._playerRef(roomId, playerId);
-
-        const gameStateSnap = await get(gameStateRef);
-        const gameState = gameStateSnap.val();
-
-        if (gameState.currentTurn !== playerId) throw new Error('Not your turn');
-        if (gameState.turnPhase !== TURN_PHASE.DRAWING) throw new Error('Can only call Kabul at start of turn');
-
-        const playersSnap = await get(ref(this.db, `rooms/${roomId}/players`));
-        const players = playersSnap.val();
-        const playerCount = Object.keys(players).length;
-
-        await update(playerRef, { hasCalledKabul: true });
-
-        await update(gameStateRef, {
-            kabulCaller: playerId,
-            finalTurnsRemaining: playerCount - 1,
-        });
-
-        // Advance to next player (without decrementing)
-        return this._advanceTurnAfterKabul(roomId, playerId, playerCount);
-    }
-
-    // ==================== SKIP ABILITY ====================
-
-    async _skipAbility(roomId, playerId) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const privateRef = this._privateRef(roomId, playerId);
-
-        await Promise.all([
-            update(gameStateRef, {
-                turnPhase: TURN_PHASE.WAITING,
-                abilityState: null,
-            }),
-            set(privateRef, { revealedCard: null }),
-        ]);
-
-        return this._advanceTurn(roomId, playerId);
-    }
-
-    // ==================== TURN MANAGEMENT ====================
-
-    async _advanceTurn(roomId, currentPlayerId) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playersRef = ref(this.db, `rooms/${roomId}/players`);
-
-        const [gameStateSnap, playersSnap] = await Promise.all([
-            get(gameStateRef),
-            get(playersRef),
-        ]);
-
-        const gameState = gameStateSnap.val();
-        const players = Object.keys(playersSnap.val());
-        const currentIndex = players.indexOf(currentPlayerId);
-
-        let nextIndex = (currentIndex + 1) % players.length;
-        let nextPlayer = players[nextIndex];
-
-        // Skip Kabul caller
-        if (nextPlayer === gameState.kabulCaller) {
-            nextIndex = (nextIndex + 1) % players.length;
-            nextPlayer = players[nextIndex];
-        }
-
-        // Handle Kabul end game
-        if (gameState.kabulCaller) {
-            const remaining = gameState.finalTurnsRemaining - 1;
-            if (remaining <= 0) {
-                return this._endGame(roomId);
-            }
-            await update(gameStateRef, { finalTurnsRemaining: remaining });
-        }
-
-        await update(gameStateRef, {
-            currentTurn: nextPlayer,
-            turnPhase: TURN_PHASE.DRAWING,
-        });
-
-        return { success: true, nextTurn: nextPlayer };
-    }
-
-    async _advanceTurnAfterKabul(roomId, kabulCallerId, playerCount) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playersRef = ref(this.db, `rooms/${roomId}/players`);
-
-        const playersSnap = await get(playersRef);
-        const players = Object.keys(playersSnap.val());
-        const currentIndex = players.indexOf(kabulCallerId);
-        const nextIndex = (currentIndex + 1) % players.length;
-
-        await update(gameStateRef, {
-            currentTurn: players[nextIndex],
-            turnPhase: TURN_PHASE.DRAWING,
-        });
-
-        return { success: true, message: 'KABUL! Others get 1 final turn.' };
-    }
-
-    async _endGame(roomId) {
-        const gameStateRef = this._gameStateRef(roomId);
-        const playersRef = ref(this.db, `rooms/${roomId}/players`);
-
-        const playersSnap = await get(playersRef);
-        const players = playersSnap.val();
-
-        let winner = null;
-        let lowestScore = Infinity;
-
-        for (const [pid, player] of Object.entries(players)) {
-            const score = player.hand.reduce((sum, card) => sum + card.value, 0);
-
-            // Update player with final score
-            await update(this._playerRef(roomId, pid), { finalScore: score });
-
-            if (score < lowestScore) {
-                lowestScore = score;
-                winner = pid;
-            }
+            };
         }
 
-        await update(gameStateRef, {
-            phase: 'ENDED',
-            winner,
-            turnPhase: TURN_PHASE.WAITING,
-            abilityState: null,
-        });
-
-        return { success: true, winner, score: lowestScore };
+        return view;
     }
 }
 
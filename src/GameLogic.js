@@ -1,3 +1,5 @@
+import { hashSeed, createRng, shuffle, generateSeed } from "./Random.js";
+
 /**
  * GameLogic implements the core rules of the Kabul card game.
  * See Kabul.md for the full rulebook.
@@ -5,29 +7,28 @@
 class GameLogic {
     /**
      * @param {Object} initialState - A game state object following kabulGameState.json schema.
+     * @param {string} [seed] - Shuffle seed; defaults to initialState.seed or a fresh one.
      */
-    constructor(initialState) {
+    constructor(initialState, seed) {
         // Deep copy to avoid mutating the original
         this.state = JSON.parse(JSON.stringify(initialState));
+        this.state.seed = String(seed ?? this.state.seed ?? generateSeed());
+        this.state.handSize = this.state.handSize ?? 4;
         this._tempDrawn = null;
     }
 
     /* ---------- Setup helpers ---------- */
 
-    /** Shuffle deck in-place using Fisher-Yates algorithm. */
+    /** Shuffle deck in-place using a Fisher-Yates shuffle seeded by state.seed. */
     shuffleDeck() {
-        const arr = this.state.deck;
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
+        shuffle(this.state.deck, createRng(hashSeed(this.state.seed)));
     }
 
-    /** Deal 4 cards to each player from the deck. */
+    /** Deal state.handSize (4, 6 or 8) cards to each player from the deck. */
     dealInitialHands() {
-        const { players, deck } = this.state;
+        const { players, deck, handSize } = this.state;
         players.forEach((p) => {
-            p.hand = deck.splice(0, 4);
+            p.hand = deck.splice(0, handSize);
         });
     }
 
@@ -85,7 +86,7 @@ class GameLogic {
 
     /**
      * Swap the drawn card with one of the current player's hand cards.
-     * @param {number} handIndex - Index 0-3 of the card to replace.
+     * @param {number} handIndex - Index of the card to replace (0 to hand length - 1).
      * @returns {string} The card that was replaced (now in discard).
      */
     swapCard(handIndex) {
@@ -93,8 +94,8 @@ class GameLogic {
             throw new Error("No card drawn this turn.");
         }
         const player = this.getCurrentPlayer();
-        if (handIndex < 0 || handIndex > 3) {
-            throw new Error("handIndex must be 0-3.");
+        if (handIndex < 0 || handIndex >= player.hand.length) {
+            throw new Error(`handIndex must be 0-${player.hand.length - 1}.`);
         }
         const replaced = player.hand[handIndex];
         player.hand[handIndex] = this._tempDrawn;
@@ -150,7 +151,7 @@ class GameLogic {
 
     /**
      * Compute the total point value of a hand based on Kabul rules.
-     * @param {string[]} hand - Array of 4 card strings.
+     * @param {string[]} hand - Array of card strings.
      * @returns {number}
      */
     static computeHandValue(hand) {
@@ -195,4 +196,4 @@ class GameLogic {
     }
 }
 
-module.exports = GameLogic;
+export default GameLogic;
@@ -0,0 +1,1486 @@
+/**
+ * Kabul Rules Reducer
+ * ===================
+ *
+ * The single implementation of the Kabul rules, shared by KabulGame (local)
+ * and FirebaseService (multiplayer):
+ *
+ *   applyAction(state, action) -> { state, events }
+ *
+ * The reducer is pure: it never mutates `state`, never reads the clock and
+ * only uses seeded randomness (see Random.js). Actions carry everything
+ * needed (`at` timestamp, `seed`, ...) and every rule violation throws an Error.
+ *
+ * Actions (all carry `type`, most carry `playerId`, all may carry `at`):
+ *   ADD_PLAYER      { playerId, name, isBot?, botDifficulty? }
+ *                                                  takes the next seat (bots: see Bot.js)
+ *   SET_SEATING     { seating }                    player ids in clockwise seat order
+ *   START_GAME      { seed, shuffleSeats?, dealerId?, gameId?, ruleSet? }
+ *                                                  deck is shuffled from the seed; gameId and
+ *                                                  ruleSet are only recorded, for replays
+ *   NEXT_ROUND      {}                             deals the next round of the match
+ *   READY           { playerId }                   done memorizing; MEMORIZE ends once everyone is
+ *   END_MEMORIZE    {}                             (or after timers.memorize at the latest)
+ *   DRAW            { playerId, source }           'deck' | 'discard'
+ *   SWAP            { playerId, handIndex }
+ *   DISCARD         { playerId }                   not for a discard-pile draw if ruleSet.mustSwapDiscardDraw
+ *   PEEK_OWN        { playerId, handIndex }
+ *   PEEK_ENEMY      { playerId, targetId, handIndex }
+ *   END_PEEK        { playerId }
+ *   BLIND_SWAP      { playerId, ownIndex, targetId, targetIndex }
+ *   REVEAL_SWAP     { playerId, ownIndex, targetId, targetIndex }
+ *   CONFIRM_SWAP    { playerId }
+ *   SKIP_ABILITY    { playerId }
+ *   SLAP            { playerId, handIndex }
+ *   SNAP_OPPONENT   { playerId, targetId, handIndex }  if ruleSet.opponentSnap
+ *   GIVE_CARD       { playerId, handIndex }            after a successful SNAP_OPPONENT
+ *   CALL_KABUL      { playerId }
+ *   TIMEOUT         {}                             auto-plays for a player out of time
+ *   TICK            {}                             applies whatever timed transition is due
+ *                                                  (END_MEMORIZE, an overdue GIVE_CARD, then TIMEOUT);
+ *                                                  see getNextTickAt
+ *
+ * Every step of a turn has a deadline (`turnDeadline`): drawing and
+ * discarding get `timers.turn`, abilities `timers.action`, peeks
+ * `timers.peek`. A player who is late first uses up their `timeBank`; once
+ * that is gone too, anyone may send TIMEOUT to play the default move.
+ *
+ * A game is a match of rounds: every round ends in the ENDED phase with
+ * `rankings` (lowest final score first, i.e. the hand value plus any Kabul
+ * caller adjustment; level scores split by `ruleSet.kabul.tiebreak`) and the
+ * final scores added to each player's running `score`. Players above
+ * `ruleSet.match.eliminationScore` are eliminated, and the match is over
+ * once at most one player is left (see `standings` / `matchWinner`).
+ *
+ * Discarding the drawn card uses its ability; whether a SWAP uses one is up
+ * to `ruleSet.abilityTrigger`. With `ruleSet.abilitiesFromDeckOnly`, a card
+ * drawn from the discard pile never uses its ability, also when DRAWN_CARD
+ * swaps it in; a hand card swapped out (ANY_DISCARD) still uses its own.
+ *
+ * Every discard opens a snap window of `ruleSet.timers.snap` ms. The first
+ * matching SLAP inside it wins; anyone after that is "too slow" (no penalty).
+ * With `ruleSet.opponentSnap`, a player may instead snap an opponent's card
+ * (SNAP_OPPONENT) and must then give that opponent one of theirs (GIVE_CARD)
+ * within `timers.action`; after that, TICK gives a random one for them.
+ *
+ * Once a player calls KABUL their cards are locked: nobody may peek at or
+ * swap with them, and the caller can no longer slap.
+ *
+ * Hands are fixed slots: a snapped card leaves its slot empty (null) so the
+ * other cards keep their place, and penalty cards fill the first empty slot
+ * before a new one is added at the end. Actions may only target filled slots.
+ *
+ * What each player has seen of every hand is tracked in `knowledge`
+ * (see Knowledge.js).
+ *
+ * Play goes clockwise around `seating`. Each round has a dealer; the player
+ * to the dealer's left (the next seat) takes the first turn, and the deal
+ * passes to the left every round.
+ */
+
+import { ABILITY, ABILITY_TRIGGER, EMPTY_DECK, FAILED_CALL, TIEBREAK, TURN_TIMEOUT, resolveRuleSet, getCardAbility, generateDeck, getDeckCount } from './RuleSet.js';
+import { hashSeed, createRng, shuffle } from './Random.js';
+import {
+    resetKnowledge,
+    normalizeKnowledge,
+    learn,
+    learnPublicly,
+    replaceSlot,
+    swapSlots,
+    clearSlot,
+    appendUnknown,
+    moveSlot,
+} from './Knowledge.js';
+
+// ==================== CONSTANTS ====================
+
+export const ACTION_TYPES = {
+    ADD_PLAYER: 'ADD_PLAYER',
+    SET_SEATING: 'SET_SEATING',
+    START_GAME: 'START_GAME',
+    NEXT_ROUND: 'NEXT_ROUND',
+    READY: 'READY',
+    END_MEMORIZE: 'END_MEMORIZE',
+    DRAW: 'DRAW',
+    SWAP: 'SWAP',
+    DISCARD: 'DISCARD',
+    PEEK_OWN: 'PEEK_OWN',
+    PEEK_ENEMY: 'PEEK_ENEMY',
+    END_PEEK: 'END_PEEK',
+    BLIND_SWAP: 'BLIND_SWAP',
+    REVEAL_SWAP: 'REVEAL_SWAP',
+    CONFIRM_SWAP: 'CONFIRM_SWAP',
+    SKIP_ABILITY: 'SKIP_ABILITY',
+    SLAP: 'SLAP',
+    SNAP_OPPONENT: 'SNAP_OPPONENT',
+    GIVE_CARD: 'GIVE_CARD',
+    CALL_KABUL: 'CALL_KABUL',
+    TIMEOUT: 'TIMEOUT',
+    TICK: 'TICK',
+};
+
+export const EVENT_TYPES = {
+    PLAYER_JOINED: 'PLAYER_JOINED',
+    SEATING_CHANGED: 'SEATING_CHANGED',
+    GAME_STARTED: 'GAME_STARTED',
+    ROUND_STARTED: 'ROUND_STARTED',
+    PLAYER_READY: 'PLAYER_READY',
+    MEMORIZE_ENDED: 'MEMORIZE_ENDED',
+    CARD_DRAWN: 'CARD_DRAWN',
+    DECK_RESHUFFLED: 'DECK_RESHUFFLED',
+    CARD_SWAPPED: 'CARD_SWAPPED',
+    CARD_DISCARDED: 'CARD_DISCARDED',
+    ABILITY_STARTED: 'ABILITY_STARTED',
+    CARD_PEEKED: 'CARD_PEEKED',
+    PEEK_ENDED: 'PEEK_ENDED',
+    SWAP_REVEALED: 'SWAP_REVEALED',
+    CARDS_SWAPPED: 'CARDS_SWAPPED',
+    ABILITY_SKIPPED: 'ABILITY_SKIPPED',
+    SLAP_MATCHED: 'SLAP_MATCHED',
+    SLAP_MISSED: 'SLAP_MISSED',
+    SLAP_TOO_SLOW: 'SLAP_TOO_SLOW',
+    OPPONENT_SNAPPED: 'OPPONENT_SNAPPED',
+    OPPONENT_SNAP_MISSED: 'OPPONENT_SNAP_MISSED',
+    CARD_GIVEN: 'CARD_GIVEN',
+    KABUL_CALLED: 'KABUL_CALLED',
+    TURN_ADVANCED: 'TURN_ADVANCED',
+    TURN_TIMED_OUT: 'TURN_TIMED_OUT',
+    GIVE_TIMED_OUT: 'GIVE_TIMED_OUT',
+    GAME_ENDED: 'GAME_ENDED',
+    CALLER_SCORE_ADJUSTED: 'CALLER_SCORE_ADJUSTED',
+    SCORE_RESET: 'SCORE_RESET',
+    PLAYER_ELIMINATED: 'PLAYER_ELIMINATED',
+    MATCH_ENDED: 'MATCH_ENDED',
+};
+
+// Pending action states
+export const ACTION_STATES = {
+    CHOOSING_OWN_CARD_TO_PEEK: 'CHOOSING_OWN_CARD_TO_PEEK',
+    CHOOSING_ENEMY_CARD_TO_PEEK: 'CHOOSING_ENEMY_CARD_TO_PEEK',
+    SWAPPING_CARDS: 'SWAPPING_CARDS',
+    SEE_AND_SWAPPING_CARDS: 'SEE_AND_SWAPPING_CARDS',
+    CONFIRMING_SWAP: 'CONFIRMING_SWAP',
+    PEEK_RESULT: 'PEEK_RESULT',
+};
+
+// Pending action state opened by each ability
+export const ABILITY_ACTION_STATES = {
+    [ABILITY.PEEK_SELF]: ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK,
+    [ABILITY.PEEK_ENEMY]: ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK,
+    [ABILITY.BLIND_SWAP]: ACTION_STATES.SWAPPING_CARDS,
+    [ABILITY.SEE_AND_SWAP]: ACTION_STATES.SEE_AND_SWAPPING_CARDS,
+};
+
+// ==================== STATE ====================
+
+/**
+ * Create an empty game in the WAITING phase.
+ * @param {string} gameId
+ * @param {string|Object} [ruleSet]
+ */
+export function createInitialState(gameId, ruleSet) {
+    return {
+        gameId,
+        ruleSet: resolveRuleSet(ruleSet),
+        seed: null,           // shuffle seed, set when the game starts
+        rngState: null,       // seeded generator state for later shuffles (and auto-gives)
+        phase: 'WAITING', // WAITING | MEMORIZE | PLAYING | ENDED
+        memorizeEndsAt: null,
+        ready: [],            // players done memorizing (MEMORIZE phase only)
+
+        players: {},
+        seating: [],          // all player ids, clockwise
+        dealerId: null,
+        turnOrder: [],        // players in this round, starting left of the dealer
+        currentTurnIndex: 0,
+        turnCount: 0,         // turns started this round
+
+        turnDeadline: null,   // when the current step of the turn times out
+        turnClock: null,      // { key, playerId, step } the deadline belongs to
+
+        deck: [],
+        decks: 1,             // 54-card decks shuffled together this round (see table.playersPerDeck)
+        discardPile: [],
+        topDiscard: null,
+        deckReshuffles: 0,    // times the discard pile was reshuffled this round
+        snapWindow: null,     // { card, playerId, closesAt, winner } for the last discard
+        pendingGive: null,    // { playerId, targetId, handIndex, expiresAt } after an opponent snap
+
+        knowledge: {},        // observerId -> ownerId -> [{ status, card }], see Knowledge.js
+
+        drawnCard: null,      // { playerId, card, source }
+        pendingAction: null,  // { type, playerId, targetId?, data?, expiresAt }
+
+        kabulCaller: null,
+        finalTurnsRemaining: 0,
+        rankings: [],         // [{ playerId, position, handValue, finalScore, cardCount, shared }] once ENDED
+        winners: [],          // everyone in position 1 (several on a shared win)
+
+        round: 0,             // 1-based once the game starts
+        roundHistory: [],     // [{ round, scores: { playerId: points } }]
+        standings: [],        // [{ playerId, name, score, eliminated, rank }]
+        matchOver: false,
+        matchWinner: null,
+    };
+}
+
+/**
+ * Restore fields that a JSON store (e.g. Firebase) drops: empty arrays,
+ * empty objects and nulls.
+ */
+export function normalizeState(state) {
+    const normalized = { ...createInitialState(state.gameId, state.ruleSet), ...state };
+    normalized.ruleSet = resolveRuleSet(normalized.ruleSet);
+    if (normalized.seating.length === 0) {
+        normalized.seating = [...normalized.turnOrder];
+    }
+    for (const [playerId, player] of Object.entries(normalized.players)) {
+        // Empty slots (null) get dropped too; the owner's knowledge keeps one entry per slot
+        player.hand = restoreSlots(player.hand, normalized.knowledge?.[playerId]?.[playerId]?.length);
+        player.hasCalledKabul = player.hasCalledKabul || false;
+        player.score = player.score || 0;
+        player.eliminated = player.eliminated || false;
+        player.timeBank = player.timeBank || 0;
+        player.isBot = player.isBot || false;
+        player.botDifficulty = player.botDifficulty || null;
+    }
+    normalizeKnowledge(normalized);
+    return normalized;
+}
+
+export function getCurrentPlayerId(state) {
+    return state.turnOrder[state.currentTurnIndex];
+}
+
+export function computeHandValue(hand) {
+    return hand.reduce((sum, card) => sum + (card ? card.value : 0), 0);
+}
+
+/**
+ * Cards actually in a hand (empty slots don't count).
+ */
+export function countCards(hand) {
+    return hand.filter(Boolean).length;
+}
+
+function restoreSlots(hand = [], slotCount = 0) {
+    const length = Math.max(slotCount, ...Object.keys(hand).map(i => Number(i) + 1));
+    return Array.from({ length }, (_, i) => hand[i] || null);
+}
+
+// ==================== REDUCER ====================
+
+/**
+ * Apply one action to a game state.
+ * @param {Object} state - Current state (not mutated)
+ * @param {Object} action - One of ACTION_TYPES with its payload
+ * @returns {{ state: Object, events: Object[] }}
+ */
+export function applyAction(state, action) {
+    const handler = HANDLERS[action.type];
+    if (!handler) {
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+
+    const ctx = {
+        state: normalizeState(JSON.parse(JSON.stringify(state))),
+        events: [],
+        at: action.at ?? 0,
+    };
+    ctx.emit = (type, data = {}) => ctx.events.push({ type, ...data });
+
+    handler(ctx, action);
+    updateTurnClock(ctx);
+
+    return { state: ctx.state, events: ctx.events };
+}
+
+const HANDLERS = {
+    // ==================== SETUP ====================
+
+    [ACTION_TYPES.ADD_PLAYER]({ state, emit }, { playerId, name, isBot = false, botDifficulty = null }) {
+        if (state.phase !== 'WAITING') {
+            throw new Error('Game already started');
+        }
+        if (state.players[playerId]) {
+            throw new Error('Player already joined');
+        }
+        if (state.seating.length >= state.ruleSet.table.maxPlayers) {
+            throw new Error(`Room is full (${state.ruleSet.table.maxPlayers} players)`);
+        }
+        state.players[playerId] = {
+            id: playerId,
+            name,
+            hand: [],
+            hasCalledKabul: false,
+            isConnected: true,
+            isBot,
+            botDifficulty: isBot ? botDifficulty : null,
+            score: 0,             // running match score
+            eliminated: false,
+            timeBank: state.ruleSet.timers.bank,
+        };
+        state.seating.push(playerId);
+        state.turnOrder.push(playerId);
+        emit(EVENT_TYPES.PLAYER_JOINED, { playerId });
+    },
+
+    [ACTION_TYPES.SET_SEATING]({ state, emit }, { seating }) {
+        if (state.phase !== 'WAITING') {
+            throw new Error('Game already started');
+        }
+        validateSeating(state, seating);
+
+        state.seating = [...seating];
+        state.turnOrder = [...seating];
+        emit(EVENT_TYPES.SEATING_CHANGED, { seating: state.seating });
+    },
+
+    [ACTION_TYPES.START_GAME](ctx, { seed, shuffleSeats = false, dealerId }) {
+        const { state, emit } = ctx;
+        if (state.phase !== 'WAITING') {
+            throw new Error('Game already started');
+        }
+        if (state.turnOrder.length < state.ruleSet.table.minPlayers) {
+            throw new Error(`Need at least ${state.ruleSet.table.minPlayers} players`);
+        }
+        if (seed === undefined || seed === null) {
+            throw new Error('A seed is required to start the game');
+        }
+
+        state.seed = String(seed);
+
+        // Random seats come from the seed too (separately from the deck)
+        if (shuffleSeats) {
+            shuffle(state.seating, createRng(hashSeed(`${state.seed}/seats`)));
+        }
+        if (dealerId !== undefined && dealerId !== null && !state.players[dealerId]) {
+            throw new Error('Invalid dealer');
+        }
+        state.dealerId = dealerId ?? state.seating[0];
+
+        state.round = 1;
+        dealRound(ctx);
+        emit(EVENT_TYPES.GAME_STARTED, {
+            seed: state.seed,
+            seating: state.seating,
+            dealerId: state.dealerId,
+            topDiscard: publicCard(state.topDiscard),
+        });
+    },
+
+    [ACTION_TYPES.NEXT_ROUND](ctx) {
+        const { state, emit } = ctx;
+        if (state.phase !== 'ENDED') {
+            throw new Error('Round is still in progress');
+        }
+        if (state.matchOver) {
+            throw new Error('Match is over');
+        }
+
+        state.round++;
+        state.dealerId = nextActiveSeat(state, state.dealerId);
+        dealRound(ctx);
+        emit(EVENT_TYPES.ROUND_STARTED, {
+            round: state.round,
+            dealerId: state.dealerId,
+            topDiscard: publicCard(state.topDiscard),
+        });
+    },
+
+    [ACTION_TYPES.READY](ctx, { playerId }) {
+        const { state, emit } = ctx;
+        if (state.phase !== 'MEMORIZE') {
+            throw new Error('Not in memorize phase');
+        }
+        if (!state.turnOrder.includes(playerId)) {
+            throw new Error('Invalid player');
+        }
+        if (state.ready.includes(playerId)) {
+            throw new Error('Already ready');
+        }
+
+        state.ready.push(playerId);
+        emit(EVENT_TYPES.PLAYER_READY, { playerId });
+
+        if (state.turnOrder.every(id => state.ready.includes(id))) {
+            HANDLERS[ACTION_TYPES.END_MEMORIZE](ctx);
+        }
+    },
+
+    [ACTION_TYPES.END_MEMORIZE]({ state, emit }) {
+        if (state.phase !== 'MEMORIZE') {
+            throw new Error('Not in memorize phase');
+        }
+        state.phase = 'PLAYING';
+        state.memorizeEndsAt = null;
+        state.ready = [];
+        emit(EVENT_TYPES.MEMORIZE_ENDED, { currentTurn: getCurrentPlayerId(state) });
+    },
+
+    // ==================== TURN ACTIONS ====================
+
+    [ACTION_TYPES.DRAW](ctx, { playerId, source = 'deck' }) {
+        const { state, emit } = ctx;
+        validateTurn(state, playerId);
+        validateNoPendingAction(state);
+        if (state.drawnCard) {
+            throw new Error('Already drew a card this turn');
+        }
+
+        let card;
+        if (source === 'deck') {
+            card = drawFromDeck(ctx);
+            if (!card) {
+                // Nothing left to draw (or the RuleSet ends the round on an empty deck)
+                endGame(ctx, 'DECK_EMPTY');
+                return;
+            }
+        } else if (source === 'discard') {
+            if (state.discardPile.length === 0) throw new Error('Discard pile is empty');
+            if (state.ruleSet.mustSwapDiscardDraw && countCards(state.players[playerId].hand) === 0) {
+                throw new Error('No card to swap the discard with');
+            }
+            card = state.discardPile.pop();
+            state.topDiscard = state.discardPile[state.discardPile.length - 1] || null;
+            // The card is in the drawer's hands now: nobody can snap it any more
+            state.snapWindow = null;
+        } else {
+            throw new Error('Invalid source');
+        }
+
+        state.drawnCard = { playerId, card, source };
+        emit(EVENT_TYPES.CARD_DRAWN, {
+            playerId,
+            source,
+            // A card taken from the discard pile was already face up
+            card: source === 'discard' ? publicCard(card) : null,
+        });
+    },
+
+    [ACTION_TYPES.SWAP](ctx, { playerId, handIndex }) {
+        const { state, emit } = ctx;
+        validateTurn(state, playerId);
+        validateDrawnCard(state, playerId);
+
+        const player = state.players[playerId];
+        validateHandIndex(player, handIndex, 'Invalid hand index');
+
+        const replaced = player.hand[handIndex];
+        const { card: drawn, source } = state.drawnCard;
+        player.hand[handIndex] = { ...state.drawnCard.card, position: handIndex };
+
+        // A card taken from the discard pile was seen by everyone
+        if (source === 'discard') {
+            learnPublicly(state, playerId, handIndex);
+        } else {
+            replaceSlot(state, playerId, handIndex, playerId);
+        }
+        state.drawnCard = null;
+
+        emit(EVENT_TYPES.CARD_SWAPPED, { playerId, handIndex });
+        addToDiscard(ctx, playerId, replaced);
+
+        // Which ability a swap uses depends on the table (see ABILITY_TRIGGER)
+        const trigger = state.ruleSet.abilityTrigger;
+        if (trigger === ABILITY_TRIGGER.DRAWN_CARD) {
+            resolveAbility(ctx, playerId, drawn, source);
+        } else if (trigger === ABILITY_TRIGGER.ANY_DISCARD) {
+            resolveAbility(ctx, playerId, replaced, 'hand');
+        }
+        if (!state.pendingAction) {
+            advanceTurn(ctx);
+        }
+    },
+
+    [ACTION_TYPES.DISCARD](ctx, { playerId }) {
+        const { state } = ctx;
+        validateTurn(state, playerId);
+        validateDrawnCard(state, playerId);
+        if (state.drawnCard.source === 'discard' && state.ruleSet.mustSwapDiscardDraw) {
+            throw new Error('A card taken from the discard pile must be swapped');
+        }
+        discardDrawn(ctx, playerId);
+    },
+
+    // ==================== PEEK ACTIONS ====================
+
+    [ACTION_TYPES.PEEK_OWN]({ state, emit, at }, { playerId, handIndex }) {
+        validatePendingAction(state, playerId, ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK, at);
+
+        const player = state.players[playerId];
+        validateHandIndex(player, handIndex, 'Invalid hand index');
+        learn(state, playerId, playerId, handIndex);
+
+        state.pendingAction = {
+            type: ACTION_STATES.PEEK_RESULT,
+            playerId,
+            targetId: playerId,
+            handIndex,
+            card: player.hand[handIndex],
+            expiresAt: at + state.ruleSet.timers.peek,
+        };
+        emit(EVENT_TYPES.CARD_PEEKED, { playerId, targetId: playerId, handIndex });
+    },
+
+    [ACTION_TYPES.PEEK_ENEMY]({ state, emit, at }, { playerId, targetId, handIndex }) {
+        validatePendingAction(state, playerId, ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK, at);
+
+        if (targetId === playerId) {
+            throw new Error('Cannot peek your own card with PEEK_ENEMY');
+        }
+        const target = state.players[targetId];
+        if (!target) throw new Error('Invalid target player');
+        validateNotLocked(state, targetId);
+        validateHandIndex(target, handIndex, 'Invalid hand index');
+        learn(state, playerId, targetId, handIndex);
+
+        state.pendingAction = {
+            type: ACTION_STATES.PEEK_RESULT,
+            playerId,
+            targetId,
+            handIndex,
+            card: target.hand[handIndex],
+            expiresAt: at + state.ruleSet.timers.peek,
+        };
+        emit(EVENT_TYPES.CARD_PEEKED, { playerId, targetId, handIndex });
+    },
+
+    [ACTION_TYPES.END_PEEK](ctx, { playerId }) {
+        const { state, emit } = ctx;
+        const pending = state.pendingAction;
+        if (pending?.type !== ACTION_STATES.PEEK_RESULT || pending.playerId !== playerId) {
+            throw new Error('No peek to end');
+        }
+        state.pendingAction = null;
+        emit(EVENT_TYPES.PEEK_ENDED, { playerId });
+        advanceTurn(ctx);
+    },
+
+    // ==================== SWAP ACTIONS ====================
+
+    [ACTION_TYPES.BLIND_SWAP](ctx, { playerId, ownIndex, targetId, targetIndex }) {
+        const { state, at } = ctx;
+        validatePendingAction(state, playerId, ACTION_STATES.SWAPPING_CARDS, at);
+        validateSwapTargets(state, playerId, ownIndex, targetId, targetIndex);
+
+        // Swap cards (blind - no reveal)
+        swapBetweenHands(ctx, playerId, ownIndex, targetId, targetIndex);
+        state.pendingAction = null;
+        advanceTurn(ctx);
+    },
+
+    [ACTION_TYPES.REVEAL_SWAP]({ state, emit, at }, { playerId, ownIndex, targetId, targetIndex }) {
+        validatePendingAction(state, playerId, ACTION_STATES.SEE_AND_SWAPPING_CARDS, at);
+        validateSwapTargets(state, playerId, ownIndex, targetId, targetIndex);
+
+        // Reveal both cards to the active player, then wait for confirmation
+        const ownCard = state.players[playerId].hand[ownIndex];
+        const targetCard = state.players[targetId].hand[targetIndex];
+        learn(state, playerId, playerId, ownIndex);
+        learn(state, playerId, targetId, targetIndex);
+
+        state.pendingAction = {
+            type: ACTION_STATES.CONFIRMING_SWAP,
+            playerId,
+            ownIndex,
+            targetId,
+            targetIndex,
+            revealedCards: { ownCard, targetCard },
+            expiresAt: at + state.ruleSet.timers.action,
+        };
+        emit(EVENT_TYPES.SWAP_REVEALED, { playerId, ownIndex, targetId, targetIndex });
+    },
+
+    [ACTION_TYPES.CONFIRM_SWAP](ctx, { playerId }) {
+        const { state, at } = ctx;
+        validatePendingAction(state, playerId, ACTION_STATES.CONFIRMING_SWAP, at);
+
+        // A snap may have moved (or taken) a revealed card since REVEAL_SWAP
+        const { targetId, revealedCards } = state.pendingAction;
+        const ownIndex = state.players[playerId].hand.findIndex(c => c?.id === revealedCards.ownCard.id);
+        const targetIndex = state.players[targetId].hand.findIndex(c => c?.id === revealedCards.targetCard.id);
+        if (ownIndex === -1 || targetIndex === -1) {
+            HANDLERS[ACTION_TYPES.SKIP_ABILITY](ctx, { playerId });
+            return;
+        }
+
+        swapBetweenHands(ctx, playerId, ownIndex, targetId, targetIndex, { seen: true });
+        state.pendingAction = null;
+        advanceTurn(ctx);
+    },
+
+    [ACTION_TYPES.SKIP_ABILITY](ctx, { playerId }) {
+        const { state, emit } = ctx;
+        if (state.pendingAction?.playerId !== playerId) {
+            throw new Error('No ability to skip');
+        }
+        state.pendingAction = null;
+        emit(EVENT_TYPES.ABILITY_SKIPPED, { playerId });
+        advanceTurn(ctx);
+    },
+
+    // ==================== SLAPPING (MATCH-DISCARD) ====================
+
+    [ACTION_TYPES.SLAP](ctx, { playerId, handIndex }) {
+        const { state, emit } = ctx;
+        const player = validateSnapper(state, playerId);
+        validateHandIndex(player, handIndex, 'Invalid hand index');
+
+        const window = claimSnapWindow(ctx, playerId);
+        if (!window) return;
+
+        const card = player.hand[handIndex];
+
+        if (card.rank === window.card.rank) {
+            // SUCCESS: the card leaves its slot empty
+            player.hand[handIndex] = null;
+            clearSlot(state, playerId, handIndex);
+            state.discardPile.push(card);
+            state.topDiscard = card;
+            window.winner = playerId;
+
+            emit(EVENT_TYPES.SLAP_MATCHED, { playerId, handIndex, card: publicCard(card) });
+        } else {
+            const penaltyCount = dealPenalty(ctx, player);
+            emit(EVENT_TYPES.SLAP_MISSED, { playerId, handIndex, penaltyCount });
+        }
+    },
+
+    [ACTION_TYPES.SNAP_OPPONENT](ctx, { playerId, targetId, handIndex }) {
+        const { state, emit } = ctx;
+        if (!state.ruleSet.opponentSnap) {
+            throw new Error('Snapping opponents is not allowed by these rules');
+        }
+        const player = validateSnapper(state, playerId);
+        if (targetId === playerId) {
+            throw new Error('Use SLAP to snap your own card');
+        }
+        const target = state.players[targetId];
+        if (!target) throw new Error('Invalid target player');
+        validateNotLocked(state, targetId);
+        validateHandIndex(target, handIndex, 'Invalid hand index');
+        if (countCards(player.hand) === 0) {
+            throw new Error('You have no card to give');
+        }
+
+        const window = claimSnapWindow(ctx, playerId);
+        if (!window) return;
+
+        const card = target.hand[handIndex];
+
+        if (card.rank === window.card.rank) {
+            target.hand[handIndex] = null;
+            clearSlot(state, targetId, handIndex);
+            state.discardPile.push(card);
+            state.topDiscard = card;
+            window.winner = playerId;
+
+            // The snapper now owes the target a card for the empty slot
+            state.pendingGive = { playerId, targetId, handIndex, expiresAt: ctx.at + state.ruleSet.timers.action };
+            emit(EVENT_TYPES.OPPONENT_SNAPPED, { playerId, targetId, handIndex, card: publicCard(card) });
+        } else {
+            const penaltyCount = dealPenalty(ctx, player);
+            emit(EVENT_TYPES.OPPONENT_SNAP_MISSED, { playerId, targetId, handIndex, penaltyCount });
+        }
+    },
+
+    [ACTION_TYPES.GIVE_CARD]({ state, emit }, { playerId, handIndex }) {
+        if (state.phase !== 'PLAYING') {
+            throw new Error('Game is not in playing phase');
+        }
+        const give = state.pendingGive;
+        if (give?.playerId !== playerId) {
+            throw new Error('No card to give');
+        }
+
+        const player = state.players[playerId];
+        const target = state.players[give.targetId];
+        validateHandIndex(player, handIndex, 'Invalid hand index');
+
+        // The given card goes into the slot that was snapped empty
+        const card = player.hand[handIndex];
+        player.hand[handIndex] = null;
+        target.hand[give.handIndex] = { ...card, position: give.handIndex };
+        moveSlot(state, playerId, handIndex, give.targetId, give.handIndex);
+        state.pendingGive = null;
+
+        emit(EVENT_TYPES.CARD_GIVEN, { playerId, targetId: give.targetId, handIndex, targetIndex: give.handIndex });
+    },
+
+    // ==================== KABUL ====================
+
+    [ACTION_TYPES.CALL_KABUL]({ state, emit }, { playerId }) {
+        validateTurn(state, playerId);
+        validateNoPendingAction(state);
+        if (state.drawnCard) {
+            throw new Error('Must discard or swap before calling Kabul');
+        }
+        if (state.kabulCaller) {
+            throw new Error('Kabul already called');
+        }
+        // The caller's hand locks, so no card may still be on its way in or out
+        if (isInPendingGive(state, playerId)) {
+            throw new Error('Wait for the snapped card to be given first');
+        }
+
+        state.players[playerId].hasCalledKabul = true;
+        state.kabulCaller = playerId;
+        state.finalTurnsRemaining =
+            (state.turnOrder.length - 1) * state.ruleSet.kabul.finalTurnsPerPlayer;
+
+        // Advance to next player WITHOUT decrementing finalTurnsRemaining
+        // (the decrement happens when each player completes their final turn)
+        state.currentTurnIndex = (state.currentTurnIndex + 1) % state.turnOrder.length;
+
+        emit(EVENT_TYPES.KABUL_CALLED, { playerId, finalTurnsRemaining: state.finalTurnsRemaining });
+        state.turnCount++;
+        emit(EVENT_TYPES.TURN_ADVANCED, { currentTurn: getCurrentPlayerId(state) });
+    },
+
+    // ==================== TIMEOUTS ====================
+
+    [ACTION_TYPES.TIMEOUT](ctx) {
+        const { state, emit, at } = ctx;
+        const clock = state.turnClock;
+        if (state.phase !== 'PLAYING' || !clock) {
+            throw new Error('No turn is running');
+        }
+        if (at < getTimeoutAt(state)) {
+            throw new Error('Turn has not timed out yet');
+        }
+
+        const { playerId, step } = clock;
+        if (step !== CLOCK_STEPS.PEEK) {
+            state.players[playerId].timeBank = 0;
+        }
+        emit(EVENT_TYPES.TURN_TIMED_OUT, { playerId, step });
+
+        switch (step) {
+            case CLOCK_STEPS.PEEK:
+                HANDLERS[ACTION_TYPES.END_PEEK](ctx, { playerId });
+                break;
+            case CLOCK_STEPS.ABILITY:
+                HANDLERS[ACTION_TYPES.SKIP_ABILITY](ctx, { playerId });
+                break;
+            case CLOCK_STEPS.DRAWING:
+                if (state.ruleSet.turnTimeout === TURN_TIMEOUT.PASS) {
+                    advanceTurn(ctx);
+                    break;
+                }
+                HANDLERS[ACTION_TYPES.DRAW](ctx, { playerId, source: 'deck' });
+                if (state.drawnCard) autoDiscard(ctx, playerId);
+                break;
+            case CLOCK_STEPS.DISCARDING:
+                autoDiscard(ctx, playerId);
+                break;
+        }
+    },
+
+    [ACTION_TYPES.TICK](ctx) {
+        const { state, at } = ctx;
+        const tickAt = getNextTickAt(state);
+        // Early or duplicate ticks are harmless no-ops
+        if (tickAt === null || at < tickAt) return;
+
+        if (state.phase === 'MEMORIZE') {
+            HANDLERS[ACTION_TYPES.END_MEMORIZE](ctx);
+            return;
+        }
+        if (state.pendingGive && at >= state.pendingGive.expiresAt) {
+            autoGive(ctx);
+        }
+        const timeoutAt = getTimeoutAt(state);
+        if (timeoutAt !== null && at >= timeoutAt) {
+            HANDLERS[ACTION_TYPES.TIMEOUT](ctx);
+        }
+    },
+};
+
+// ==================== LEGAL ACTIONS ====================
+
+/**
+ * Every action `playerId` could dispatch right now, fully formed (minus `at`).
+ * A wrong SLAP is still legal (it earns a penalty); snaps are only listed
+ * while the snap window is open at `at`.
+ * @param {Object} state
+ * @param {string} playerId
+ * @param {number} [at] - Current time (defaults to "before every deadline")
+ * @returns {Object[]}
+ */
+export function getLegalActions(state, playerId, at = -Infinity) {
+    const player = state.players[playerId];
+    if (!player || !state.turnOrder.includes(playerId)) {
+        return [];
+    }
+    if (state.phase === 'MEMORIZE') {
+        return state.ready.includes(playerId) ? [] : [{ type: ACTION_TYPES.READY, playerId }];
+    }
+    if (state.phase !== 'PLAYING') {
+        return [];
+    }
+
+    const actions = [];
+    const own = indexes(player);
+    const targets = state.turnOrder.filter(id => id !== playerId && id !== state.kabulCaller);
+
+    if (state.pendingGive?.playerId === playerId) {
+        actions.push(...own.map(handIndex => ({ type: ACTION_TYPES.GIVE_CARD, playerId, handIndex })));
+    } else if (state.kabulCaller !== playerId && isSnapOpen(state, at)) {
+        actions.push(...own.map(handIndex => ({ type: ACTION_TYPES.SLAP, playerId, handIndex })));
+        if (state.ruleSet.opponentSnap && own.length > 0) {
+            for (const targetId of targets) {
+                for (const handIndex of indexes(state.players[targetId])) {
+                    actions.push({ type: ACTION_TYPES.SNAP_OPPONENT, playerId, targetId, handIndex });
+                }
+            }
+        }
+    }
+
+    if (getCurrentPlayerId(state) !== playerId) return actions;
+
+    const pending = state.pendingAction;
+    if (pending) {
+        if (pending.playerId !== playerId || at > pending.expiresAt + player.timeBank) return actions;
+        actions.push(...pendingActions(state, pending, playerId, own, targets));
+    } else if (state.drawnCard?.playerId === playerId) {
+        actions.push(...own.map(handIndex => ({ type: ACTION_TYPES.SWAP, playerId, handIndex })));
+        if (state.drawnCard.source === 'deck' || !state.ruleSet.mustSwapDiscardDraw) {
+            actions.push({ type: ACTION_TYPES.DISCARD, playerId });
+        }
+    } else if (!state.drawnCard) {
+        actions.push({ type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+        if (state.discardPile.length > 0 && (own.length > 0 || !state.ruleSet.mustSwapDiscardDraw)) {
+            actions.push({ type: ACTION_TYPES.DRAW, playerId, source: 'discard' });
+        }
+        if (!state.kabulCaller && !isInPendingGive(state, playerId)) {
+            actions.push({ type: ACTION_TYPES.CALL_KABUL, playerId });
+        }
+    }
+    return actions;
+}
+
+function pendingActions(state, pending, playerId, own, targets) {
+    const skip = { type: ACTION_TYPES.SKIP_ABILITY, playerId };
+    const targetSlots = targets.flatMap(targetId =>
+        indexes(state.players[targetId]).map(index => ({ targetId, index })));
+    const swaps = type => own.flatMap(ownIndex => targetSlots.map(({ targetId, index }) =>
+        ({ type, playerId, ownIndex, targetId, targetIndex: index })));
+
+    switch (pending.type) {
+        case ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK:
+            return [...own.map(handIndex => ({ type: ACTION_TYPES.PEEK_OWN, playerId, handIndex })), skip];
+        case ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK:
+            return [
+                ...targetSlots.map(({ targetId, index }) =>
+                    ({ type: ACTION_TYPES.PEEK_ENEMY, playerId, targetId, handIndex: index })),
+                skip,
+            ];
+        case ACTION_STATES.SWAPPING_CARDS:
+            return [...swaps(ACTION_TYPES.BLIND_SWAP), skip];
+        case ACTION_STATES.SEE_AND_SWAPPING_CARDS:
+            return [...swaps(ACTION_TYPES.REVEAL_SWAP), skip];
+        case ACTION_STATES.CONFIRMING_SWAP:
+            return [{ type: ACTION_TYPES.CONFIRM_SWAP, playerId }, skip];
+        case ACTION_STATES.PEEK_RESULT:
+            return [{ type: ACTION_TYPES.END_PEEK, playerId }];
+        default:
+            return [];
+    }
+}
+
+function isSnapOpen(state, at) {
+    const window = state.snapWindow;
+    return Boolean(window && !window.winner && at <= window.closesAt);
+}
+
+function isInPendingGive(state, playerId) {
+    const give = state.pendingGive;
+    return Boolean(give && (give.playerId === playerId || give.targetId === playerId));
+}
+
+function indexes(player) {
+    return player.hand.flatMap((card, i) => (card ? [i] : []));
+}
+
+// ==================== TURN CLOCK ====================
+
+/**
+ * When the next TICK will have something to do (null if nothing is timed).
+ * Schedule a TICK for then.
+ */
+export function getNextTickAt(state) {
+    if (state.phase === 'MEMORIZE') return state.memorizeEndsAt;
+    const timeoutAt = getTimeoutAt(state);
+    const giveAt = state.phase === 'PLAYING' ? state.pendingGive?.expiresAt ?? null : null;
+    if (timeoutAt === null || giveAt === null) return timeoutAt ?? giveAt;
+    return Math.min(timeoutAt, giveAt);
+}
+
+const CLOCK_STEPS = {
+    DRAWING: 'DRAWING',
+    DISCARDING: 'DISCARDING',
+    ABILITY: 'ABILITY',
+    PEEK: 'PEEK',
+};
+
+/**
+ * The moment TIMEOUT becomes legal: the deadline plus the player's time bank
+ * (peeks just end, without touching the bank).
+ */
+export function getTimeoutAt(state) {
+    const clock = state.turnClock;
+    if (!clock || state.turnDeadline === null) return null;
+    const bank = clock.step === CLOCK_STEPS.PEEK ? 0 : state.players[clock.playerId].timeBank;
+    return state.turnDeadline + bank;
+}
+
+/**
+ * Start a new deadline whenever the turn moves on to its next step, charging
+ * any overrun of the previous step to that player's time bank.
+ */
+function updateTurnClock({ state, at }) {
+    const step = currentClockStep(state);
+    const pending = state.pendingAction;
+    const key = step && `${state.round}:${state.turnCount}:${step}:${pending?.type || ''}`;
+    const previous = state.turnClock;
+    if (key === (previous?.key ?? null)) return;
+
+    if (previous && previous.step !== CLOCK_STEPS.PEEK && at > state.turnDeadline) {
+        const player = state.players[previous.playerId];
+        player.timeBank = Math.max(0, player.timeBank - (at - state.turnDeadline));
+    }
+
+    if (!step) {
+        state.turnClock = null;
+        state.turnDeadline = null;
+        return;
+    }
+
+    const playerId = getCurrentPlayerId(state);
+    state.turnClock = { key, playerId, step };
+    state.turnDeadline = pending ? pending.expiresAt : at + state.ruleSet.timers.turn;
+}
+
+function currentClockStep(state) {
+    if (state.phase !== 'PLAYING') return null;
+    if (state.pendingAction?.type === ACTION_STATES.PEEK_RESULT) return CLOCK_STEPS.PEEK;
+    if (state.pendingAction) return CLOCK_STEPS.ABILITY;
+    if (state.drawnCard) return CLOCK_STEPS.DISCARDING;
+    return CLOCK_STEPS.DRAWING;
+}
+
+/**
+ * Discard the drawn card for a timed-out player, without using its ability.
+ */
+function autoDiscard(ctx, playerId) {
+    // Even a card that had to be swapped goes back (there is no right slot to pick)
+    discardDrawn(ctx, playerId);
+    if (ctx.state.pendingAction?.playerId === playerId) {
+        HANDLERS[ACTION_TYPES.SKIP_ABILITY](ctx, { playerId });
+    }
+}
+
+/**
+ * Give a random card for a snapper who ran out of time (seeded, so replays agree).
+ */
+function autoGive(ctx) {
+    const { state, emit } = ctx;
+    const { playerId } = state.pendingGive;
+    emit(EVENT_TYPES.GIVE_TIMED_OUT, { playerId });
+
+    // Their own cards may all have been snapped since: nothing left to give
+    const filled = state.players[playerId].hand.flatMap((card, i) => (card ? [i] : []));
+    if (filled.length === 0) {
+        state.pendingGive = null;
+        return;
+    }
+
+    const random = createRng(state.rngState);
+    const handIndex = filled[Math.floor(random() * filled.length)];
+    state.rngState = random.state;
+    HANDLERS[ACTION_TYPES.GIVE_CARD](ctx, { playerId, handIndex });
+}
+
+function discardDrawn(ctx, playerId) {
+    const { state } = ctx;
+    const { card, source } = state.drawnCard;
+    state.drawnCard = null;
+    addToDiscard(ctx, playerId, card);
+
+    // Resolve the ability of the discarded card
+    resolveAbility(ctx, playerId, card, source);
+    if (!state.pendingAction) {
+        advanceTurn(ctx);
+    }
+}
+
+// ==================== ROUNDS ====================
+
+/**
+ * Shuffle and deal a round to every player still in the match.
+ * Round 1 is shuffled from the game seed itself, later rounds from
+ * `${seed}/${round}`, so the whole match replays from one seed.
+ */
+function dealRound({ state, at }) {
+    const roundSeed = state.round === 1 ? state.seed : `${state.seed}/${state.round}`;
+    const random = createRng(hashSeed(roundSeed));
+
+    // Eliminated players sit out the rest of the match
+    for (const player of Object.values(state.players)) {
+        if (player.eliminated) player.hand = [];
+    }
+    const active = state.seating.filter(id => !state.players[id].eliminated);
+
+    // Bigger tables play with more decks shuffled together
+    state.decks = getDeckCount(state.ruleSet, active.length);
+    state.deck = shuffle(generateDeck(state.ruleSet, state.decks), random);
+    state.rngState = random.state;
+
+    // Turn order runs clockwise from the player left of the dealer
+    const dealerSeat = active.indexOf(state.dealerId);
+    state.turnOrder = [...active.slice(dealerSeat + 1), ...active.slice(0, dealerSeat + 1)];
+    state.currentTurnIndex = 0;
+    state.turnCount = 0;
+
+    // Deal a hand (ruleSet.hand.size cards) to each player, starting left of the dealer
+    for (const playerId of state.turnOrder) {
+        const player = state.players[playerId];
+        player.hand = state.deck.splice(0, state.ruleSet.hand.size).map((card, i) => ({ ...card, position: i }));
+        player.hasCalledKabul = false;
+        player.timeBank = state.ruleSet.timers.bank;
+        delete player.finalScore;
+        delete player.handValue;
+        delete player.scoreAdjustment;
+    }
+
+    // Nobody has seen anything yet, except their own memorize positions
+    resetKnowledge(state);
+    for (const playerId of state.turnOrder) {
+        for (const position of state.ruleSet.hand.memorize) {
+            learn(state, playerId, playerId, position);
+        }
+    }
+
+    // Initial discard card
+    const first = state.deck.shift();
+    state.discardPile = [first];
+    state.topDiscard = first;
+    state.deckReshuffles = 0;
+    state.snapWindow = null;
+    state.pendingGive = null;
+
+    state.drawnCard = null;
+    state.pendingAction = null;
+    state.kabulCaller = null;
+    state.finalTurnsRemaining = 0;
+    state.rankings = [];
+    state.winners = [];
+
+    state.phase = 'MEMORIZE';
+    state.memorizeEndsAt = at + state.ruleSet.timers.memorize;
+    state.ready = [];
+}
+
+/**
+ * The next seat to the left that is still in the match.
+ */
+function nextActiveSeat(state, playerId) {
+    const seat = state.seating.indexOf(playerId);
+    for (let i = 1; i <= state.seating.length; i++) {
+        const candidate = state.seating[(seat + i) % state.seating.length];
+        if (!state.players[candidate].eliminated) return candidate;
+    }
+    return playerId;
+}
+
+/**
+ * Add the round's hand values to the running scores and apply elimination.
+ */
+function scoreRound({ state, emit }) {
+    const { eliminationScore, resetOnExact, resetScore } = state.ruleSet.match;
+    const scores = {};
+
+    for (const playerId of state.turnOrder) {
+        const player = state.players[playerId];
+        scores[playerId] = player.finalScore;
+        player.score += player.finalScore;
+
+        if (resetOnExact && player.score === eliminationScore) {
+            player.score = resetScore;
+            emit(EVENT_TYPES.SCORE_RESET, { playerId, score: player.score });
+        } else if (player.score > eliminationScore) {
+            player.eliminated = true;
+            emit(EVENT_TYPES.PLAYER_ELIMINATED, { playerId, score: player.score });
+        }
+    }
+
+    state.roundHistory.push({ round: state.round, scores });
+    state.standings = computeStandings(state);
+
+    const remaining = state.turnOrder.filter(id => !state.players[id].eliminated);
+    if (remaining.length <= 1) {
+        // Last player standing wins; if everyone busted together, the lowest score does
+        state.matchOver = true;
+        state.matchWinner = remaining[0] || state.standings[0].playerId;
+        emit(EVENT_TYPES.MATCH_ENDED, { winner: state.matchWinner, standings: state.standings });
+    }
+}
+
+/**
+ * Players still in the match first, then by lowest running score.
+ */
+export function computeStandings(state) {
+    const sorted = Object.values(state.players)
+        .map(p => ({ playerId: p.id, name: p.name, score: p.score, eliminated: p.eliminated }))
+        .sort((a, b) => (a.eliminated - b.eliminated) || (a.score - b.score));
+
+    // Tied players share a rank (1, 2, 2, 4)
+    const standings = [];
+    sorted.forEach((entry, i) => {
+        const prev = standings[i - 1];
+        const tied = prev && prev.eliminated === entry.eliminated && prev.score === entry.score;
+        standings.push({ ...entry, rank: tied ? prev.rank : i + 1 });
+    });
+    return standings;
+}
+
+// ==================== ABILITIES ====================
+
+/**
+ * @param {string} source - Where the card came from: drawn this turn ('deck' | 'discard')
+ *   or swapped out of the player's 'hand'
+ */
+function resolveAbility({ state, emit, at }, playerId, card, source) {
+    if (state.ruleSet.abilitiesFromDeckOnly && source === 'discard') return;
+
+    const ability = getCardAbility(state.ruleSet, card.rank);
+    const type = ABILITY_ACTION_STATES[ability];
+
+    // No action for cards without an ability in this RuleSet
+    if (!type) return;
+
+    state.pendingAction = {
+        type,
+        playerId,
+        expiresAt: at + state.ruleSet.timers.action,
+    };
+    emit(EVENT_TYPES.ABILITY_STARTED, { playerId, ability });
+}
+
+function swapBetweenHands({ state, emit }, playerId, ownIndex, targetId, targetIndex, { seen = false } = {}) {
+    const player = state.players[playerId];
+    const target = state.players[targetId];
+
+    const ownCard = player.hand[ownIndex];
+    const targetCard = target.hand[targetIndex];
+
+    player.hand[ownIndex] = { ...targetCard, position: ownIndex };
+    target.hand[targetIndex] = { ...ownCard, position: targetIndex };
+    swapSlots(state, playerId, ownIndex, targetId, targetIndex, seen ? playerId : null);
+
+    emit(EVENT_TYPES.CARDS_SWAPPED, { playerId, ownIndex, targetId, targetIndex });
+}
+
+// ==================== TURN MANAGEMENT ====================
+
+function advanceTurn(ctx) {
+    const { state, emit } = ctx;
+
+    // Advance to next player
+    state.currentTurnIndex = (state.currentTurnIndex + 1) % state.turnOrder.length;
+
+    // Skip the player who called Kabul
+    if (getCurrentPlayerId(state) === state.kabulCaller) {
+        state.currentTurnIndex = (state.currentTurnIndex + 1) % state.turnOrder.length;
+    }
+
+    // If Kabul was called, track final turns
+    if (state.kabulCaller) {
+        state.finalTurnsRemaining--;
+        if (state.finalTurnsRemaining <= 0) {
+            endGame(ctx);
+            return;
+        }
+    }
+
+    state.turnCount++;
+    emit(EVENT_TYPES.TURN_ADVANCED, { currentTurn: getCurrentPlayerId(state) });
+}
+
+/**
+ * End the round and score it.
+ * @param {string} [reason] - 'KABUL' (final turns played out) or 'DECK_EMPTY'
+ */
+function endGame(ctx, reason = 'KABUL') {
+    const { state, emit } = ctx;
+    // A card still owed is given before the hands are scored
+    if (state.pendingGive) autoGive(ctx);
+    state.phase = 'ENDED';
+    state.pendingAction = null;
+    state.drawnCard = null;
+
+    const caller = state.kabulCaller;
+
+    for (const playerId of state.turnOrder) {
+        const player = state.players[playerId];
+        player.handValue = computeHandValue(player.hand);
+        player.finalScore = player.handValue;
+        player.scoreAdjustment = null;
+    }
+
+    // Whether the caller won is decided on the hands alone...
+    if (caller) {
+        adjustCallerScore(ctx, state.players[caller], rankPlayers(state, 'handValue'));
+    }
+
+    // ...but the round is ranked on the adjusted scores; level ones go by the RuleSet's tiebreak
+    state.rankings = rankPlayers(state, 'finalScore');
+    state.winners = state.rankings.filter(entry => entry.position === 1).map(entry => entry.playerId);
+    emit(EVENT_TYPES.GAME_ENDED, {
+        winners: state.winners,
+        rankings: state.rankings,
+        round: state.round,
+        reason,
+    });
+
+    scoreRound(ctx);
+}
+
+/**
+ * Order the round's players by `key` ('handValue' or 'finalScore'), then
+ * `kabul.tiebreak`. Players still level share a position (1, 1, 3).
+ */
+function rankPlayers(state, key) {
+    const { tiebreak } = state.ruleSet.kabul;
+    const compare = (a, b) => {
+        if (a[key] !== b[key]) return a[key] - b[key];
+        switch (tiebreak) {
+            case TIEBREAK.FEWEST_CARDS:
+                return a.cardCount - b.cardCount;
+            case TIEBREAK.CALLER_LOSES:
+                return (a.playerId === state.kabulCaller) - (b.playerId === state.kabulCaller);
+            default:
+                return 0;
+        }
+    };
+
+    const sorted = state.turnOrder
+        .map(playerId => ({
+            playerId,
+            handValue: state.players[playerId].handValue,
+            finalScore: state.players[playerId].finalScore,
+            cardCount: countCards(state.players[playerId].hand),
+        }))
+        .sort(compare);
+
+    return sorted.map(entry => {
+        const first = sorted.findIndex(other => compare(other, entry) === 0);
+        const shared = sorted.some(other => other !== entry && compare(other, entry) === 0);
+        return { ...entry, position: first + 1, shared };
+    });
+}
+
+/**
+ * Apply the RuleSet's Kabul-caller scoring to the caller's round score.
+ * @param {Object[]} handRanking - rankPlayers by hand value
+ */
+function adjustCallerScore({ state, emit }, caller, handRanking) {
+    const { kabul } = state.ruleSet;
+    const strictlyLowest = state.turnOrder.every(id =>
+        id === caller.id || state.players[id].handValue > caller.handValue);
+
+    const callerWon = handRanking.find(entry => entry.playerId === caller.id).position === 1;
+
+    let points = 0;
+    let reason = null;
+    if (!strictlyLowest && kabul.failedCall === FAILED_CALL.DOUBLE) {
+        // Doubling a negative hand would reward the failed call
+        points = Math.max(caller.handValue, 0);
+        reason = 'FAILED_CALL';
+    } else if (!strictlyLowest && kabul.failedCall === FAILED_CALL.ADD) {
+        points = kabul.failedCallPoints;
+        reason = 'FAILED_CALL';
+    } else if (callerWon && kabul.winnerScoresZero) {
+        points = -caller.handValue;
+        reason = 'CALLER_WON';
+    }
+
+    if (!reason) return;
+    caller.finalScore += points;
+    caller.scoreAdjustment = { points, reason };
+    emit(EVENT_TYPES.CALLER_SCORE_ADJUSTED, { playerId: caller.id, points, reason });
+}
+
+// ==================== SNAPPING ====================
+
+/**
+ * Claim the current snap window. Returns null (after a SLAP_TOO_SLOW event)
+ * if someone was first or the window has closed - that costs no penalty.
+ */
+function claimSnapWindow({ state, emit, at }, playerId) {
+    const window = state.snapWindow;
+    if (!window) throw new Error('Nothing to snap yet');
+
+    if (window.winner || at > window.closesAt) {
+        emit(EVENT_TYPES.SLAP_TOO_SLOW, { playerId, winner: window.winner });
+        return null;
+    }
+    return window;
+}
+
+/**
+ * Deal `slapPenalty` cards from the deck for a wrong snap.
+ * @returns {number} Cards actually dealt
+ */
+function dealPenalty(ctx, player) {
+    let count = 0;
+    for (let i = 0; i < ctx.state.ruleSet.slapPenalty; i++) {
+        const card = drawFromDeck(ctx);
+        if (!card) break;
+
+        // Into the first empty slot, else a new one at the end
+        const empty = player.hand.indexOf(null);
+        const position = empty === -1 ? player.hand.length : empty;
+        player.hand[position] = { ...card, position };
+        if (empty === -1) {
+            appendUnknown(ctx.state, player.id);
+        } else {
+            replaceSlot(ctx.state, player.id, position);
+        }
+        count++;
+    }
+    return count;
+}
+
+// ==================== DECK ====================
+
+/**
+ * Take the top card of the deck, refilling it first when the RuleSet
+ * reshuffles the discard pile. Returns null when no card can be drawn.
+ */
+function drawFromDeck(ctx) {
+    const { state } = ctx;
+    if (state.deck.length === 0 && state.ruleSet.emptyDeck === EMPTY_DECK.RESHUFFLE) {
+        reshuffleDiscard(ctx);
+    }
+    return state.deck.shift() || null;
+}
+
+/**
+ * Shuffle every discarded card except the top one into a new deck,
+ * continuing the round's seeded generator.
+ */
+function reshuffleDiscard({ state, emit }) {
+    if (state.discardPile.length <= 1) return;
+
+    const top = state.discardPile.pop();
+    const random = createRng(state.rngState);
+    state.deck = shuffle(state.discardPile.map(({ position, ...card }) => card), random);
+    state.rngState = random.state;
+    state.discardPile = [top];
+    state.deckReshuffles++;
+
+    emit(EVENT_TYPES.DECK_RESHUFFLED, { count: state.deck.length, topDiscard: publicCard(top) });
+}
+
+// ==================== HELPERS ====================
+
+function addToDiscard({ state, emit, at }, playerId, card) {
+    state.discardPile.push(card);
+    state.topDiscard = card;
+
+    // Each discard replaces the previous snap window
+    state.snapWindow = {
+        card: publicCard(card),
+        playerId,
+        closesAt: at + state.ruleSet.timers.snap,
+        winner: null,
+    };
+    emit(EVENT_TYPES.CARD_DISCARDED, { playerId, card: publicCard(card), snapClosesAt: state.snapWindow.closesAt });
+}
+
+function publicCard(card) {
+    return { rank: card.rank, suit: card.suit, value: card.value, display: card.display };
+}
+
+function validateTurn(state, playerId) {
+    if (state.phase !== 'PLAYING') {
+        throw new Error('Game is not in playing phase');
+    }
+    if (getCurrentPlayerId(state) !== playerId) {
+        throw new Error('Not your turn');
+    }
+}
+
+function validateNoPendingAction(state) {
+    if (state.pendingAction) {
+        throw new Error('Finish the current ability first');
+    }
+}
+
+function validateDrawnCard(state, playerId) {
+    if (!state.drawnCard || state.drawnCard.playerId !== playerId) {
+        throw new Error('No card drawn this turn');
+    }
+}
+
+function validatePendingAction(state, playerId, type, at) {
+    const pending = state.pendingAction;
+    if (!pending || pending.playerId !== playerId || pending.type !== type) {
+        throw new Error(`No pending ${type} action`);
+    }
+    // The time bank also covers abilities
+    if (at > pending.expiresAt + state.players[playerId].timeBank) {
+        throw new Error('Action expired');
+    }
+}
+
+function validateSnapper(state, playerId) {
+    if (state.phase !== 'PLAYING') {
+        throw new Error('Cannot slap outside of playing phase');
+    }
+    const player = state.players[playerId];
+    if (!player) throw new Error('Invalid player');
+    validateNotLocked(state, playerId);
+    if (state.pendingGive?.playerId === playerId) {
+        throw new Error('Give your card before snapping again');
+    }
+    return player;
+}
+
+function validateNotLocked(state, playerId) {
+    if (state.kabulCaller === playerId) {
+        throw new Error(`${state.players[playerId].name}'s cards are locked (called ${state.ruleSet.kabul.callWord})`);
+    }
+}
+
+function validateSeating(state, seating) {
+    const ids = Object.keys(state.players);
+    if (!Array.isArray(seating) || seating.length !== ids.length ||
+        new Set(seating).size !== ids.length || !seating.every(id => state.players[id])) {
+        throw new Error('Seating must list every player exactly once');
+    }
+}
+
+function validateHandIndex(player, handIndex, message) {
+    if (!Number.isInteger(handIndex) || handIndex < 0 || handIndex >= player.hand.length) {
+        throw new Error(message);
+    }
+    if (!player.hand[handIndex]) {
+        throw new Error('That slot is empty');
+    }
+}
+
+function validateSwapTargets(state, playerId, ownIndex, targetId, targetIndex) {
+    if (targetId === playerId) {
+        throw new Error('Cannot swap with yourself');
+    }
+    const target = state.players[targetId];
+    if (!target) throw new Error('Invalid target player');
+    validateNotLocked(state, targetId);
+    validateHandIndex(state.players[playerId], ownIndex, 'Invalid own index');
+    validateHandIndex(target, targetIndex, 'Invalid target index');
+}
+
+export default applyAction;
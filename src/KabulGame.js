@@ -2,6 +2,30 @@
  * Multiplayer Kabul Game Logic (Revised)
  * =========================================
  * 
+ * The rules themselves live in GameReducer.js (shared with FirebaseService);
+ * this class owns the state, dispatches actions and builds masked views.
+ * 
+ * EVENT LOG:
+ *   Every action is appended to `state.events` as { seq, action, events },
+ *   where `action` is the typed reducer action (with its `at` timestamp) and
+ *   `events` the typed events it produced (CARD_DRAWN, TURN_ADVANCED, ...).
+ *   KabulGame.replay(seed, events) rebuilds the state at any index; the
+ *   START_GAME entry records the game id and resolved ruleSet it needs.
+ * 
+ * TIME:
+ *   All timestamps come from the injected clock (see Clock.js). Timed
+ *   transitions (end of memorize, end of a peek, turn timeouts) are TICK
+ *   actions that the game schedules on that clock; with a VirtualClock they
+ *   only happen when the test or simulation advances time.
+ * 
+ * BOTS:
+ *   Players added with { isBot: true } are played by Bot.js. After every
+ *   change each bot gets its difficulty's think time, then plays whatever
+ *   chooseBotAction picks, on the same clock.
+ * 
+ * Card values and abilities come from the game's RuleSet (see RuleSet.js).
+ * The default 'CURRENT_APP' rules are:
+ * 
  * CARD VALUES (Points for final scoring):
  *   Red King (♥, ♦)    -> -1 (best)
  *   Joker              -> 0
@@ -19,197 +43,253 @@
  *   Others             -> NONE
  */
 
+import { RULESETS, resolveRuleSet } from './RuleSet.js';
+import { generateSeed } from './Random.js';
+import { SystemClock, VirtualClock } from './Clock.js';
+import { getKnowledgeView } from './Knowledge.js';
+import { BOT_DIFFICULTY, chooseBotAction, getBotProfile } from './Bot.js';
+import {
+    ACTION_TYPES,
+    ACTION_STATES,
+    EVENT_TYPES,
+    applyAction,
+    createInitialState,
+    getCurrentPlayerId,
+    getTimeoutAt,
+    getNextTickAt,
+    getLegalActions,
+    countCards,
+} from './GameReducer.js';
+
 // ==================== CARD DEFINITIONS ====================
 
-export const CARD_VALUES = {
-    'Joker': 0,
-    'A': 1,
-    '2': 2, '3': 3, '4': 4, '5': 5, '6': 6,
-    '7': 7, '8': 8, '9': 9, '10': 10,
-    'J': 11,
-    'Q': 12,
-    'K': 13,  // Black Kings; Red Kings handled separately
-};
-
-export const CARD_ABILITIES = {
-    '7': 'PEEK_SELF',
-    '8': 'PEEK_SELF',
-    '9': 'PEEK_ENEMY',
-    '10': 'PEEK_ENEMY',
-    'J': 'BLIND_SWAP',
-    'Q': 'SEE_AND_SWAP',
-    'K': 'SEE_AND_SWAP',
-};
+// Default ('CURRENT_APP') tables, kept for callers that predate RuleSets
+export const CARD_VALUES = RULESETS.CURRENT_APP.values;
+export const CARD_ABILITIES = RULESETS.CURRENT_APP.abilities;
 
 // Pending action states
-export const ACTION_STATES = {
-    CHOOSING_OWN_CARD_TO_PEEK: 'CHOOSING_OWN_CARD_TO_PEEK',
-    CHOOSING_ENEMY_CARD_TO_PEEK: 'CHOOSING_ENEMY_CARD_TO_PEEK',
-    SWAPPING_CARDS: 'SWAPPING_CARDS',
-    SEE_AND_SWAPPING_CARDS: 'SEE_AND_SWAPPING_CARDS',
-    PEEK_RESULT: 'PEEK_RESULT',
-};
+export { ACTION_STATES };
 
 class KabulGame {
-    constructor(gameId) {
+    /**
+     * @param {string} gameId
+     * @param {string|Object} [ruleSet] - RuleSet preset id or object (see RuleSet.js)
+     * @param {Object} [options]
+     * @param {Object} [options.clock] - Clock/scheduler (defaults to the real time)
+     */
+    constructor(gameId, ruleSet, { clock = new SystemClock() } = {}) {
+        this.clock = clock;
+        this.tickHandle = null;
+        this.botHandles = new Map();
+        this.botStrategies = new Map();   // botId -> profile overrides (see Bot.js)
+        this.spectatorReplay = null;      // { upTo, state }: the last delayed replay (see _stateAt)
+        this.ruleSet = resolveRuleSet(ruleSet);
         this.state = {
-            gameId,
-            phase: 'WAITING', // WAITING | MEMORIZE | PLAYING | ENDED
-            memorizeEndsAt: null,
-
-            players: {},
-            turnOrder: [],
-            currentTurnIndex: 0,
-
-            deck: [],
-            discardPile: [],
-            topDiscard: null,
-
-            drawnCard: null,      // { playerId, card }
-            pendingAction: null,  // { type, playerId, targetId?, data?, expiresAt }
-
-            kabulCaller: null,
-            finalTurnsRemaining: 0,
-            winner: null,
+            ...createInitialState(gameId, this.ruleSet),
+            events: [],           // ordered action log, see EVENT LOG above
         };
 
         this.CONFIG = {
-            MEMORIZE_DURATION: 3000,
-            PEEK_DURATION: 3000,
-            ACTION_TIMEOUT: 15000,
-            SLAP_PENALTY: 1,
+            MEMORIZE_DURATION: this.ruleSet.timers.memorize,
+            PEEK_DURATION: this.ruleSet.timers.peek,
+            ACTION_TIMEOUT: this.ruleSet.timers.action,
+            SLAP_PENALTY: this.ruleSet.slapPenalty,
         };
     }
 
-    // ==================== SETUP ====================
+    // ==================== DISPATCH ====================
 
-    addPlayer(playerId, name) {
-        if (this.state.phase !== 'WAITING') {
-            throw new Error('Game already started');
-        }
-        this.state.players[playerId] = {
-            id: playerId,
-            name,
-            hand: [],
-            hasCalledKabul: false,
-            isConnected: true,
-        };
-        this.state.turnOrder.push(playerId);
-    }
+    /**
+     * Run an action through the shared rules reducer and append it to the log.
+     * @returns {Object[]} Events emitted by the reducer
+     */
+    _dispatch(action) {
+        // The reducer never sees the log; it only grows here
+        const { events: log, ...current } = this.state;
+        const stamped = { ...action, at: action.at ?? this.clock.now() };
 
-    startGame() {
-        if (this.state.turnOrder.length < 2) {
-            throw new Error('Need at least 2 players');
-        }
-        this._initDeck();
-        this._shuffleDeck();
-        this._dealCards();
-        this._initDiscard();
+        const { state, events } = applyAction(current, stamped);
+        log.push({ seq: log.length, action: stamped, events });
+        this.state = { ...state, events: log };
 
-        this.state.phase = 'MEMORIZE';
-        this.state.memorizeEndsAt = Date.now() + this.CONFIG.MEMORIZE_DURATION;
+        this._scheduleTick();
+        this._scheduleBots();
+        return events;
     }
 
-    endMemorizePhase() {
-        if (this.state.phase === 'MEMORIZE') {
-            this.state.phase = 'PLAYING';
-            this.state.memorizeEndsAt = null;
-        }
+    /**
+     * Apply any timed transition that is due (no-op if none is).
+     * @returns {Object[]|null} Events, or null if nothing was due
+     */
+    tick() {
+        const tickAt = getNextTickAt(this.state);
+        if (tickAt === null || this.clock.now() < tickAt) return null;
+        return this._dispatch({ type: ACTION_TYPES.TICK });
     }
 
-    // ==================== DECK GENERATION ====================
+    _scheduleTick() {
+        this.clock.cancel(this.tickHandle);
+        const tickAt = getNextTickAt(this.state);
+        this.tickHandle = tickAt === null
+            ? null
+            : this.clock.schedule(tickAt - this.clock.now(), () => this.tick());
+    }
 
-    _initDeck() {
-        const suits = ['♥', '♦', '♠', '♣'];
-        const ranks = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-        this.state.deck = [];
+    // ==================== BOTS ====================
 
-        // Generate 52 standard cards
-        for (const suit of suits) {
-            for (const rank of ranks) {
-                this.state.deck.push(this._createCard(rank, suit));
-            }
-        }
+    _scheduleBots() {
+        for (const handle of this.botHandles.values()) this.clock.cancel(handle);
+        this.botHandles.clear();
+        if (this.state.phase !== 'MEMORIZE' && this.state.phase !== 'PLAYING') return;
 
-        // Add 2 Jokers
-        this.state.deck.push(this._createCard('Joker', null));
-        this.state.deck.push(this._createCard('Joker', null));
+        for (const player of Object.values(this.state.players)) {
+            if (!player.isBot) continue;
+            const { thinkTime } = { ...getBotProfile(player.botDifficulty), ...this.botStrategies.get(player.id) };
+            this.botHandles.set(player.id, this.clock.schedule(thinkTime, () => this._runBot(player.id)));
+        }
     }
 
-    _createCard(rank, suit) {
-        let value;
-        let actionType = CARD_ABILITIES[rank] || 'NONE';
+    _runBot(botId) {
+        this.botHandles.delete(botId);
+        const action = chooseBotAction(this.state, botId, {
+            now: this.clock.now(),
+            strategy: this.botStrategies.get(botId),
+        });
+        if (!action) return;
 
-        if (rank === 'Joker') {
-            value = 0;
-            actionType = 'NONE';
-        } else if (rank === 'K') {
-            // Red Kings (♥, ♦) = -1, Black Kings (♠, ♣) = 13
-            value = (suit === '♥' || suit === '♦') ? -1 : 13;
-        } else {
-            value = CARD_VALUES[rank];
+        try {
+            this._dispatch(action);
+        } catch (err) {
+            console.error(`Bot ${botId} failed to play:`, err);
         }
+    }
 
-        const display = suit ? `${rank}${suit}` : rank;
+    /**
+     * Rebuild a game from its event log.
+     * @param {string} seed - Shuffle seed used for START_GAME
+     * @param {Object[]} events - Log entries ({ seq, action, events }) from state.events
+     * @param {Object} [options]
+     * @param {number} [options.upTo] - Replay only the first `upTo` entries
+     * @param {string} [options.gameId] - Defaults to the one recorded on START_GAME
+     * @param {string|Object} [options.ruleSet] - Defaults to the one recorded on START_GAME
+     * @returns {KabulGame} A game whose state matches the original at that index
+     */
+    static replay(seed, events, { upTo = events.length, gameId, ruleSet } = {}) {
+        const start = events.find(({ action }) => action.type === ACTION_TYPES.START_GAME)?.action;
+        // Every action carries its own `at`; nothing should fire on its own
+        const game = new KabulGame(gameId ?? start?.gameId, ruleSet ?? start?.ruleSet, { clock: new VirtualClock() });
+        for (const { action } of events.slice(0, upTo)) {
+            game._dispatch(action.type === ACTION_TYPES.START_GAME ? { ...action, seed } : action);
+        }
+        return game;
+    }
 
-        return {
-            id: `${rank}${suit || ''}`,
-            rank,
-            suit,
-            value,
-            actionType,
-            display,
-        };
+    // ==================== SETUP ====================
+
+    /**
+     * @param {string} playerId
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.isBot] - Let Bot.js play this seat
+     * @param {string} [options.difficulty] - BOT_DIFFICULTY (default NORMAL)
+     * @param {Object} [options.strategy] - Bot profile overrides, e.g. { callAt: 8 }
+     */
+    addPlayer(playerId, name, { isBot = false, difficulty = BOT_DIFFICULTY.NORMAL, strategy } = {}) {
+        this._dispatch({ type: ACTION_TYPES.ADD_PLAYER, playerId, name, isBot, botDifficulty: difficulty });
+        if (isBot && strategy) this.botStrategies.set(playerId, strategy);
+    }
+
+    /**
+     * Choose the seating before the game starts.
+     * @param {string[]} seating - Every player id, in clockwise order
+     */
+    setSeating(seating) {
+        this._dispatch({ type: ACTION_TYPES.SET_SEATING, seating });
+    }
+
+    /**
+     * Deal and enter the MEMORIZE phase.
+     * @param {string} [seed] - Shuffle seed; pass one to reproduce a deal
+     * @param {Object} [options]
+     * @param {boolean} [options.shuffleSeats] - Randomise the seating (from the seed)
+     * @param {string} [options.dealerId] - First dealer (defaults to the first seat)
+     */
+    startGame(seed = generateSeed(), { shuffleSeats = false, dealerId } = {}) {
+        this._dispatch({
+            type: ACTION_TYPES.START_GAME,
+            seed,
+            shuffleSeats,
+            dealerId,
+            gameId: this.state.gameId,
+            ruleSet: this.ruleSet,
+        });
     }
 
-    _shuffleDeck() {
-        const arr = this.state.deck;
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
+    /**
+     * Deal the next round of the match once the current one has ENDED.
+     */
+    nextRound() {
+        this._dispatch({ type: ACTION_TYPES.NEXT_ROUND });
     }
 
-    _dealCards() {
-        for (const playerId of this.state.turnOrder) {
-            const player = this.state.players[playerId];
-            player.hand = [];
-            for (let i = 0; i < 4; i++) {
-                const card = this.state.deck.shift();
-                player.hand.push({ ...card, position: i });
-            }
-        }
+    /**
+     * `playerId` is done memorizing; the phase ends once everyone is.
+     */
+    ready(playerId) {
+        this._dispatch({ type: ACTION_TYPES.READY, playerId });
     }
 
-    _initDiscard() {
-        const card = this.state.deck.shift();
-        this.state.discardPile.push(card);
-        this.state.topDiscard = card;
+    endMemorizePhase() {
+        if (this.state.phase === 'MEMORIZE') {
+            this._dispatch({ type: ACTION_TYPES.END_MEMORIZE });
+        }
     }
 
     // ==================== ACCESSORS ====================
 
     getCurrentPlayerId() {
-        return this.state.turnOrder[this.state.currentTurnIndex];
+        return getCurrentPlayerId(this.state);
     }
 
     getPlayer(playerId) {
         return this.state.players[playerId];
     }
 
+    /**
+     * Everything `playerId` may do right now, as reducer actions that can be
+     * passed straight to perform().
+     */
+    getLegalActions(playerId) {
+        return getLegalActions(this.state, playerId, this.clock.now());
+    }
+
+    /**
+     * Play a fully-formed reducer action (e.g. one from getLegalActions).
+     * @returns {Object[]} Events
+     */
+    perform(action) {
+        return this._dispatch(action);
+    }
+
     // ==================== CLIENT STATE (MASKED) ====================
 
     getClientState(playerId) {
         const isMemorize = this.state.phase === 'MEMORIZE';
         const player = this.state.players[playerId];
 
+        // Not seated at this table: watch it instead
+        if (!player) return this.getSpectatorState();
+
         return {
             gameId: this.state.gameId,
+            seed: this.state.seed,
             phase: this.state.phase,
             memorizeEndsAt: this.state.memorizeEndsAt,
+            ready: this.state.ready,
 
             myHand: this._maskHand(player, playerId, isMemorize),
             peekedCard: this._getPeekedCard(playerId),
+            knowledge: getKnowledgeView(this.state, playerId),
 
             opponents: this._getOpponentsView(playerId),
 
@@ -219,8 +299,14 @@ class KabulGame {
                 rank: this.state.topDiscard.rank,
             } : null,
             deckCount: this.state.deck.length,
+            decks: this.state.decks,
 
+            seating: this.state.seating,
+            dealerId: this.state.dealerId,
             currentTurn: this.getCurrentPlayerId(),
+            turnDeadline: this.state.turnDeadline,
+            timeoutAt: getTimeoutAt(this.state),
+            myTimeBank: player.timeBank,
             isMyTurn: this.getCurrentPlayerId() === playerId,
 
             drawnCard: this.state.drawnCard?.playerId === playerId
@@ -228,19 +314,133 @@ class KabulGame {
                     display: this.state.drawnCard.card.display,
                     value: this.state.drawnCard.card.value,
                     actionType: this.state.drawnCard.card.actionType,
+                    source: this.state.drawnCard.source,
                 }
                 : null,
 
             pendingAction: this._getPendingActionView(playerId),
             kabulCaller: this.state.kabulCaller,
-            canSlap: this.state.phase === 'PLAYING',
+            canSlap: this.state.phase === 'PLAYING' && this._isSnapOpen(),
+            snapClosesAt: this._isSnapOpen() ? this.state.snapWindow.closesAt : null,
+            mustGiveTo: this.state.pendingGive?.playerId === playerId ? this.state.pendingGive.targetId : null,
+
+            round: this.state.round,
+            roundResults: this.state.phase === 'ENDED' ? this._getRoundResults(this.state) : null,
+            winners: this.state.winners,
+            myScore: player.score,
+            standings: this.state.standings,
+            matchOver: this.state.matchOver,
+            matchWinner: this.state.matchWinner,
+        };
+    }
+
+    _isSnapOpen() {
+        const window = this.state.snapWindow;
+        return Boolean(window && !window.winner && this.clock.now() <= window.closesAt);
+    }
+
+    // ==================== SPECTATOR STATE ====================
+
+    /**
+     * The table as seen by someone who is not playing: the turn, the discard
+     * and card counts, but no cards.
+     * @param {Object} [options]
+     * @param {boolean} [options.director] - Also reveal every hand (for streaming)
+     * @param {number} [options.delay] - Director view shows the table as it was `delay` ms ago
+     */
+    getSpectatorState({ director = false, delay = 0 } = {}) {
+        const asOf = director && delay > 0 ? this.clock.now() - delay : null;
+        const state = asOf === null ? this.state : this._stateAt(asOf);
+
+        return {
+            role: director ? 'director' : 'spectator',
+            asOf,
+            gameId: state.gameId,
+            seed: state.seed,
+            phase: state.phase,
+            round: state.round,
+            ready: state.ready,
+
+            players: state.seating.map(id => {
+                const p = state.players[id];
+                return {
+                    id,
+                    name: p.name,
+                    isBot: p.isBot,
+                    cardCount: countCards(p.hand),
+                    hasCalledKabul: p.hasCalledKabul,
+                    score: p.score,
+                    eliminated: p.eliminated,
+                    hand: director
+                        ? p.hand.map(card => card && { rank: card.rank, suit: card.suit, value: card.value, display: card.display })
+                        : null,
+                };
+            }),
+
+            seating: state.seating,
+            dealerId: state.dealerId,
+            currentTurn: getCurrentPlayerId(state),
+            turnDeadline: state.turnDeadline,
+            timeoutAt: getTimeoutAt(state),
+
+            topDiscard: state.topDiscard ? {
+                display: state.topDiscard.display,
+                value: state.topDiscard.value,
+                rank: state.topDiscard.rank,
+            } : null,
+            deckCount: state.deck.length,
+            decks: state.decks,
+            kabulCaller: state.kabulCaller,
+
+            roundResults: state.phase === 'ENDED' ? this._getRoundResults(state) : null,
+            winners: state.winners,
+            standings: state.standings,
+            matchOver: state.matchOver,
+            matchWinner: state.matchWinner,
         };
     }
 
+    /**
+     * The game as it was at `time`, rebuilt from the event log.
+     */
+    _stateAt(time) {
+        const { events } = this.state;
+        const upTo = events.findIndex(entry => entry.action.at > time);
+        if (upTo === -1) return this.state;
+
+        // Spectators ask for a later time each refresh: carry on from the last replay
+        let replay = this.spectatorReplay;
+        if (!replay || replay.upTo > upTo) {
+            replay = { upTo: 0, state: createInitialState(this.state.gameId, this.ruleSet) };
+        }
+        for (; replay.upTo < upTo; replay.upTo++) {
+            replay.state = applyAction(replay.state, events[replay.upTo].action).state;
+        }
+        this.spectatorReplay = replay;
+        return replay.state;
+    }
+
+    _getRoundResults(state) {
+        return state.rankings.map(({ playerId: id, position, shared }) => {
+            const p = state.players[id];
+            return {
+                id,
+                name: p.name,
+                position,
+                shared,
+                handValue: p.handValue,
+                scoreAdjustment: p.scoreAdjustment,
+                finalScore: p.finalScore,
+            };
+        });
+    }
+
     _maskHand(player, playerId, isMemorize) {
         return player.hand.map((card, idx) => {
-            // During MEMORIZE: show front row (position 0, 1) only
-            if (isMemorize && idx <= 1) {
+            // A snapped card leaves an empty slot behind
+            if (!card) return { position: idx, empty: true };
+            // During MEMORIZE: show the ruleset's memorize positions only
+            if (isMemorize && this.ruleSet.hand.memorize.includes(idx)) {
                 return {
                     position: idx,
                     display: card.display,
@@ -275,8 +475,10 @@ class KabulGame {
                 return {
                     id: p.id,
                     name: p.name,
-                    cardCount: p.hand.length,
+                    cardCount: countCards(p.hand),
                     hasCalledKabul: p.hasCalledKabul,
+                    score: p.score,
+                    isBot: p.isBot,
                 };
             });
     }
@@ -286,396 +488,164 @@ class KabulGame {
         if (!pending) return null;
         if (pending.playerId !== playerId) return null;
 
+        const revealed = pending.revealedCards;
         return {
             type: pending.type,
             expiresAt: pending.expiresAt,
-            // Include revealed card for SEE_AND_SWAP
-            revealedCard: pending.revealedCard || null,
+            // Include revealed cards for SEE_AND_SWAP
+            revealedCards: revealed ? {
+                ownCard: { display: revealed.ownCard.display, value: revealed.ownCard.value },
+                targetCard: { display: revealed.targetCard.display, value: revealed.targetCard.value },
+            } : null,
         };
     }
 
     // ==================== TURN ACTIONS ====================
 
     drawCard(playerId, source = 'deck') {
-        this._validateTurn(playerId);
-        this._validateNoDrawnCard();
-
-        let card;
-        if (source === 'deck') {
-            if (this.state.deck.length === 0) throw new Error('Deck is empty');
-            card = this.state.deck.shift();
-        } else if (source === 'discard') {
-            if (this.state.discardPile.length === 0) throw new Error('Discard pile is empty');
-            card = this.state.discardPile.pop();
-            this.state.topDiscard = this.state.discardPile[this.state.discardPile.length - 1] || null;
-        } else {
-            throw new Error('Invalid source');
+        const events = this._dispatch({ type: ACTION_TYPES.DRAW, playerId, source });
+
+        // The deck ran out and the round ended instead
+        if (!this.state.drawnCard) {
+            const ended = events.find(e => e.type === EVENT_TYPES.GAME_ENDED);
+            return { success: false, message: 'The deck is empty - round over!', winners: ended?.winners };
         }
 
-        this.state.drawnCard = { playerId, card };
+        const card = this.state.drawnCard.card;
         return { success: true, card: { display: card.display, value: card.value, actionType: card.actionType } };
     }
 
     swapCard(playerId, handIndex) {
-        this._validateTurn(playerId);
-        this._validateDrawnCard(playerId);
-
-        const player = this.state.players[playerId];
-        if (handIndex < 0 || handIndex >= player.hand.length) {
-            throw new Error('Invalid hand index');
-        }
-
-        const replaced = player.hand[handIndex];
-        player.hand[handIndex] = { ...this.state.drawnCard.card, position: handIndex };
-
-        this._addToDiscard(replaced);
-        this._clearDrawnCard();
-
-        // Resolve the ability of the DISCARDED card (the one going to discard pile)
-        this._resolveAction(replaced, playerId);
-
-        if (!this.state.pendingAction) {
-            this._nextTurn();
-        }
+        const events = this._dispatch({ type: ACTION_TYPES.SWAP, playerId, handIndex });
 
+        const replaced = events.find(e => e.type === EVENT_TYPES.CARD_DISCARDED).card;
         return { success: true, discarded: { display: replaced.display, value: replaced.value } };
     }
 
     discardDrawn(playerId) {
-        this._validateTurn(playerId);
-        this._validateDrawnCard(playerId);
-
-        const card = this.state.drawnCard.card;
-        this._addToDiscard(card);
-        this._clearDrawnCard();
-
-        // Resolve the ability of the discarded card
-        this._resolveAction(card, playerId);
-
-        if (!this.state.pendingAction) {
-            this._nextTurn();
-        }
+        const card = this.state.drawnCard?.card;
+        this._dispatch({ type: ACTION_TYPES.DISCARD, playerId });
 
         return { success: true, discarded: { display: card.display, value: card.value, actionType: card.actionType } };
     }
 
-    // ==================== RESOLVE ACTION (POWER CARDS) ====================
-
-    _resolveAction(card, playerId) {
-        const rank = card.rank;
-
-        if (rank === '7' || rank === '8') {
-            // PEEK_SELF: Choose one of your own cards to peek
-            this.state.pendingAction = {
-                type: ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK,
-                playerId,
-                expiresAt: Date.now() + this.CONFIG.ACTION_TIMEOUT,
-            };
-        } else if (rank === '9' || rank === '10') {
-            // PEEK_ENEMY: Choose one opponent's card to peek
-            this.state.pendingAction = {
-                type: ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK,
-                playerId,
-                expiresAt: Date.now() + this.CONFIG.ACTION_TIMEOUT,
-            };
-        } else if (rank === 'J') {
-            // BLIND_SWAP: Swap without seeing
-            this.state.pendingAction = {
-                type: ACTION_STATES.SWAPPING_CARDS,
-                playerId,
-                expiresAt: Date.now() + this.CONFIG.ACTION_TIMEOUT,
-            };
-        } else if (rank === 'Q' || rank === 'K') {
-            // SEE_AND_SWAP: See opponent card then swap
-            this.state.pendingAction = {
-                type: ACTION_STATES.SEE_AND_SWAPPING_CARDS,
-                playerId,
-                expiresAt: Date.now() + this.CONFIG.ACTION_TIMEOUT,
-            };
-        }
-        // else: no action (A, 2-6, Joker)
-    }
-
     // ==================== PEEK ACTIONS ====================
 
-    peekOwnCard(playerId, handIndex) {
-        this._validatePendingAction(playerId, ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK);
-
-        const player = this.state.players[playerId];
-        if (handIndex < 0 || handIndex >= player.hand.length) {
-            throw new Error('Invalid hand index');
-        }
-
-        const card = player.hand[handIndex];
-        this.state.pendingAction = {
-            type: ACTION_STATES.PEEK_RESULT,
-            playerId,
-            targetId: playerId,
-            handIndex,
-            card,
-            expiresAt: Date.now() + this.CONFIG.PEEK_DURATION,
-        };
+    // The peek ends (and the turn moves on) with the TICK after PEEK_DURATION
 
-        setTimeout(() => this._clearPeekAndNextTurn(playerId), this.CONFIG.PEEK_DURATION);
+    peekOwnCard(playerId, handIndex) {
+        this._dispatch({ type: ACTION_TYPES.PEEK_OWN, playerId, handIndex });
 
+        const card = this.state.pendingAction.card;
         return { success: true, position: handIndex, card: { display: card.display, value: card.value } };
     }
 
     peekEnemyCard(playerId, targetId, handIndex) {
-        this._validatePendingAction(playerId, ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK);
-
-        if (targetId === playerId) {
-            throw new Error('Cannot peek your own card with 9/10');
-        }
-
-        const target = this.state.players[targetId];
-        if (!target) throw new Error('Invalid target player');
-        if (handIndex < 0 || handIndex >= target.hand.length) {
-            throw new Error('Invalid hand index');
-        }
-
-        const card = target.hand[handIndex];
-        this.state.pendingAction = {
-            type: ACTION_STATES.PEEK_RESULT,
-            playerId,
-            targetId,
-            handIndex,
-            card,
-            expiresAt: Date.now() + this.CONFIG.PEEK_DURATION,
-        };
-
-        setTimeout(() => this._clearPeekAndNextTurn(playerId), this.CONFIG.PEEK_DURATION);
+        this._dispatch({ type: ACTION_TYPES.PEEK_ENEMY, playerId, targetId, handIndex });
 
+        const card = this.state.pendingAction.card;
         return { success: true, targetId, position: handIndex, card: { display: card.display, value: card.value } };
     }
 
     // ==================== SWAP ACTIONS ====================
 
     blindSwap(playerId, ownIndex, targetId, targetIndex) {
-        this._validatePendingAction(playerId, ACTION_STATES.SWAPPING_CARDS);
-
-        if (targetId === playerId) {
-            throw new Error('Cannot swap with yourself');
-        }
-
-        const player = this.state.players[playerId];
-        const target = this.state.players[targetId];
-
-        if (!target) throw new Error('Invalid target player');
-        if (ownIndex < 0 || ownIndex >= player.hand.length) throw new Error('Invalid own index');
-        if (targetIndex < 0 || targetIndex >= target.hand.length) throw new Error('Invalid target index');
-
-        // Swap cards (blind - no reveal)
-        const ownCard = player.hand[ownIndex];
-        const targetCard = target.hand[targetIndex];
-
-        player.hand[ownIndex] = { ...targetCard, position: ownIndex };
-        target.hand[targetIndex] = { ...ownCard, position: targetIndex };
-
-        this.state.pendingAction = null;
-        this._nextTurn();
+        this._dispatch({ type: ACTION_TYPES.BLIND_SWAP, playerId, ownIndex, targetId, targetIndex });
 
         return { success: true, message: 'Cards swapped blindly' };
     }
 
     seeAndSwap(playerId, ownIndex, targetId, targetIndex) {
-        this._validatePendingAction(playerId, ACTION_STATES.SEE_AND_SWAPPING_CARDS);
-
-        if (targetId === playerId) {
-            throw new Error('Cannot swap with yourself');
-        }
-
-        const player = this.state.players[playerId];
-        const target = this.state.players[targetId];
-
-        if (!target) throw new Error('Invalid target player');
-        if (ownIndex < 0 || ownIndex >= player.hand.length) throw new Error('Invalid own index');
-        if (targetIndex < 0 || targetIndex >= target.hand.length) throw new Error('Invalid target index');
+        this.revealSwap(playerId, ownIndex, targetId, targetIndex);
+        const { ownCard, targetCard } = this.state.pendingAction.revealedCards;
+        this.confirmSwap(playerId);
 
-        // Reveal both cards before swapping
-        const ownCard = player.hand[ownIndex];
-        const targetCard = target.hand[targetIndex];
-
-        // Swap cards
-        player.hand[ownIndex] = { ...targetCard, position: ownIndex };
-        target.hand[targetIndex] = { ...ownCard, position: targetIndex };
+        return {
+            success: true,
+            message: 'Cards swapped with reveal',
+            ownCard: { display: ownCard.display, value: ownCard.value },
+            targetCard: { display: targetCard.display, value: targetCard.value },
+        };
+    }
 
-        this.state.pendingAction = null;
-        this._nextTurn();
+    /**
+     * First step of SEE_AND_SWAP: look at both cards before deciding.
+     * Follow with confirmSwap() or skipAction().
+     */
+    revealSwap(playerId, ownIndex, targetId, targetIndex) {
+        this._dispatch({ type: ACTION_TYPES.REVEAL_SWAP, playerId, ownIndex, targetId, targetIndex });
 
+        const { ownCard, targetCard } = this.state.pendingAction.revealedCards;
         return {
             success: true,
-            message: 'Cards swapped with reveal',
             ownCard: { display: ownCard.display, value: ownCard.value },
             targetCard: { display: targetCard.display, value: targetCard.value },
         };
     }
 
-    skipAction(playerId) {
-        if (this.state.pendingAction?.playerId === playerId) {
-            this.state.pendingAction = null;
-            this._nextTurn();
-        }
+    confirmSwap(playerId) {
+        this._dispatch({ type: ACTION_TYPES.CONFIRM_SWAP, playerId });
+
+        return { success: true, message: 'Cards swapped with reveal' };
     }
 
-    _clearPeekAndNextTurn(playerId) {
-        if (this.state.pendingAction?.type === ACTION_STATES.PEEK_RESULT &&
-            this.state.pendingAction.playerId === playerId) {
-            this.state.pendingAction = null;
-            this._nextTurn();
+    skipAction(playerId) {
+        if (this.state.pendingAction?.playerId === playerId) {
+            this._dispatch({ type: ACTION_TYPES.SKIP_ABILITY, playerId });
         }
     }
 
     // ==================== SLAPPING (MATCH-DISCARD) ====================
 
     slap(playerId, handIndex) {
-        if (this.state.phase !== 'PLAYING') {
-            throw new Error('Cannot slap outside of playing phase');
-        }
-
-        const player = this.state.players[playerId];
-        if (handIndex < 0 || handIndex >= player.hand.length) {
-            throw new Error('Invalid hand index');
-        }
-
-        const card = player.hand[handIndex];
-        const topRank = this.state.topDiscard?.rank;
-        const cardRank = card.rank;
-
-        if (cardRank === topRank) {
-            // SUCCESS: Remove card from hand
-            player.hand.splice(handIndex, 1);
-            player.hand.forEach((c, i) => c.position = i);
-            this._addToDiscard(card);
+        const event = this._dispatch({ type: ACTION_TYPES.SLAP, playerId, handIndex })
+            .find(e => [EVENT_TYPES.SLAP_MATCHED, EVENT_TYPES.SLAP_MISSED, EVENT_TYPES.SLAP_TOO_SLOW].includes(e.type));
 
+        if (event.type === EVENT_TYPES.SLAP_MATCHED) {
             return { success: true, message: 'Match! Card removed.' };
-        } else {
-            // PENALTY: Add 1 card from deck
-            if (this.state.deck.length > 0) {
-                const penalty = this.state.deck.shift();
-                player.hand.push({ ...penalty, position: player.hand.length });
-            }
-
-            return {
-                success: false,
-                message: 'Wrong! +1 card penalty.',
-                newCardCount: player.hand.length,
-            };
         }
-    }
-
-    // ==================== KABUL ====================
-
-    callKabul(playerId) {
-        this._validateTurn(playerId);
-
-        if (this.state.drawnCard) {
-            throw new Error('Must discard or swap before calling Kabul');
+        if (event.type === EVENT_TYPES.SLAP_TOO_SLOW) {
+            return { success: false, tooSlow: true, message: 'Too slow!' };
         }
-
-        const player = this.state.players[playerId];
-        player.hasCalledKabul = true;
-        this.state.kabulCaller = playerId;
-        this.state.finalTurnsRemaining = this.state.turnOrder.length - 1;
-
-        // Advance to next player WITHOUT decrementing finalTurnsRemaining
-        // (the decrement happens when each player completes their final turn)
-        this.state.currentTurnIndex =
-            (this.state.currentTurnIndex + 1) % this.state.turnOrder.length;
-
-        return { success: true, message: 'KABUL! Other players get 1 final turn.' };
+        return {
+            success: false,
+            message: `Wrong! +${event.penaltyCount} card penalty.`,
+            newCardCount: countCards(this.state.players[playerId].hand),
+        };
     }
 
-    // ==================== TURN MANAGEMENT ====================
-
-    _nextTurn() {
-        // Advance to next player
-        this.state.currentTurnIndex =
-            (this.state.currentTurnIndex + 1) % this.state.turnOrder.length;
+    /**
+     * Snap an opponent's card that matches the discard (RuleSet.opponentSnap).
+     * On success, the snapper must then giveCard() to that opponent.
+     */
+    snapOpponent(playerId, targetId, handIndex) {
+        const event = this._dispatch({ type: ACTION_TYPES.SNAP_OPPONENT, playerId, targetId, handIndex })
+            .find(e => [EVENT_TYPES.OPPONENT_SNAPPED, EVENT_TYPES.OPPONENT_SNAP_MISSED, EVENT_TYPES.SLAP_TOO_SLOW].includes(e.type));
 
-        // Skip the player who called Kabul
-        if (this.getCurrentPlayerId() === this.state.kabulCaller) {
-            this.state.currentTurnIndex =
-                (this.state.currentTurnIndex + 1) % this.state.turnOrder.length;
-        }
-
-        // If Kabul was called, track final turns
-        if (this.state.kabulCaller) {
-            this.state.finalTurnsRemaining--;
-            if (this.state.finalTurnsRemaining <= 0) {
-                this._endGame();
-                return;
-            }
+        if (event.type === EVENT_TYPES.OPPONENT_SNAPPED) {
+            return { success: true, message: 'Match! Now give them one of your cards.' };
         }
-    }
-
-    _endGame() {
-        this.state.phase = 'ENDED';
-
-        let bestPlayer = null;
-        let bestScore = Infinity;
-
-        for (const playerId of this.state.turnOrder) {
-            const player = this.state.players[playerId];
-            const score = this._computeHandValue(player.hand);
-            player.finalScore = score;
-
-            if (score < bestScore) {
-                bestScore = score;
-                bestPlayer = player;
-            }
+        if (event.type === EVENT_TYPES.SLAP_TOO_SLOW) {
+            return { success: false, tooSlow: true, message: 'Too slow!' };
         }
-
-        this.state.winner = bestPlayer?.id || null;
-    }
-
-    // ==================== SCORING ====================
-
-    _computeHandValue(hand) {
-        return hand.reduce((sum, card) => sum + card.value, 0);
-    }
-
-    // ==================== HELPERS ====================
-
-    _addToDiscard(card) {
-        this.state.discardPile.push(card);
-        this.state.topDiscard = card;
+        return {
+            success: false,
+            message: `Wrong! +${event.penaltyCount} card penalty.`,
+            newCardCount: countCards(this.state.players[playerId].hand),
+        };
     }
 
-    _clearDrawnCard() {
-        this.state.drawnCard = null;
+    giveCard(playerId, handIndex) {
+        this._dispatch({ type: ACTION_TYPES.GIVE_CARD, playerId, handIndex });
+        return { success: true };
     }
 
-    _validateTurn(playerId) {
-        if (this.state.phase !== 'PLAYING') {
-            throw new Error('Game is not in playing phase');
-        }
-        if (this.getCurrentPlayerId() !== playerId) {
-            throw new Error('Not your turn');
-        }
-    }
-
-    _validateNoDrawnCard() {
-        if (this.state.drawnCard) {
-            throw new Error('Already drew a card this turn');
-        }
-    }
+    // ==================== KABUL ====================
 
-    _validateDrawnCard(playerId) {
-        if (!this.state.drawnCard || this.state.drawnCard.playerId !== playerId) {
-            throw new Error('No card drawn this turn');
-        }
-    }
+    callKabul(playerId) {
+        this._dispatch({ type: ACTION_TYPES.CALL_KABUL, playerId });
 
-    _validatePendingAction(playerId, type) {
-        const pending = this.state.pendingAction;
-        if (!pending || pending.playerId !== playerId || pending.type !== type) {
-            throw new Error(`No pending ${type} action`);
-        }
-        if (Date.now() > pending.expiresAt) {
-            this.state.pendingAction = null;
-            throw new Error('Action expired');
-        }
+        return { success: true, message: `${this.ruleSet.kabul.callWord}! Other players get their final turns.` };
     }
 
     // ==================== SERIALIZATION ====================
@@ -686,6 +656,12 @@ class KabulGame {
 
     loadServerState(state) {
         this.state = JSON.parse(JSON.stringify(state));
+        this.state.events = this.state.events || [];
+        if (this.state.ruleSet) {
+            this.ruleSet = resolveRuleSet(this.state.ruleSet);
+        }
+        this._scheduleTick();
+        this._scheduleBots();
     }
 }
 
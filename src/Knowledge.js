@@ -0,0 +1,171 @@
+/**
+ * Player Knowledge
+ * ================
+ *
+ * Tracks what every player has legitimately seen of every hand slot:
+ *
+ *   state.knowledge[observerId][ownerId][handIndex] = { status, card }
+ *
+ *   KNOWN    -> the observer saw this card and it has not moved since
+ *   STALE    -> the observer saw the card, but it was moved by a swap or
+ *               a give they did not see the result of; `card` is a best guess
+ *   UNKNOWN  -> never seen, or the slot is empty (card is null)
+ *
+ * GameReducer calls these helpers at every point where hands change or a
+ * card is revealed, so the map always lines up with `player.hand`.
+ */
+
+export const KNOWLEDGE = {
+    KNOWN: 'KNOWN',
+    STALE: 'STALE',
+    UNKNOWN: 'UNKNOWN',
+};
+
+const unknown = () => ({ status: KNOWLEDGE.UNKNOWN, card: null });
+
+function seenCard(card) {
+    return { rank: card.rank, suit: card.suit, value: card.value, display: card.display };
+}
+
+function slots(state, observerId, ownerId) {
+    const byOwner = state.knowledge[observerId] || (state.knowledge[observerId] = {});
+    return byOwner[ownerId] || (byOwner[ownerId] = []);
+}
+
+function observers(state) {
+    return Object.keys(state.players);
+}
+
+/**
+ * Forget everything: every slot of every hand is UNKNOWN to everyone.
+ */
+export function resetKnowledge(state) {
+    state.knowledge = {};
+    for (const observerId of observers(state)) {
+        for (const [ownerId, owner] of Object.entries(state.players)) {
+            slots(state, observerId, ownerId).push(...owner.hand.map(unknown));
+        }
+    }
+}
+
+/**
+ * Restore slot arrays that a JSON store (e.g. Firebase) drops when empty.
+ */
+export function normalizeKnowledge(state) {
+    state.knowledge = state.knowledge || {};
+    for (const observerId of observers(state)) {
+        for (const [ownerId, owner] of Object.entries(state.players)) {
+            const list = slots(state, observerId, ownerId);
+            for (let i = 0; i < owner.hand.length; i++) {
+                list[i] = list[i] ? { status: list[i].status, card: list[i].card || null } : unknown();
+            }
+        }
+    }
+}
+
+/**
+ * `observerId` has seen the card in ownerId's slot.
+ */
+export function learn(state, observerId, ownerId, handIndex) {
+    const card = state.players[ownerId].hand[handIndex];
+    slots(state, observerId, ownerId)[handIndex] = { status: KNOWLEDGE.KNOWN, card: seenCard(card) };
+}
+
+/**
+ * Every player has seen the card in this slot (e.g. it came off the discard pile).
+ */
+export function learnPublicly(state, ownerId, handIndex) {
+    for (const observerId of observers(state)) {
+        learn(state, observerId, ownerId, handIndex);
+    }
+}
+
+/**
+ * A new face-down card replaced this slot; only `exceptId` (if any) saw it.
+ */
+export function replaceSlot(state, ownerId, handIndex, exceptId = null) {
+    for (const observerId of observers(state)) {
+        if (observerId === exceptId) {
+            learn(state, observerId, ownerId, handIndex);
+        } else {
+            slots(state, observerId, ownerId)[handIndex] = unknown();
+        }
+    }
+}
+
+/**
+ * Two cards traded places. What observers knew moves with the cards but
+ * becomes STALE, except for `witnessId` who saw both cards (see-and-swap).
+ */
+export function swapSlots(state, ownerA, indexA, ownerB, indexB, witnessId = null) {
+    for (const observerId of observers(state)) {
+        const listA = slots(state, observerId, ownerA);
+        const listB = slots(state, observerId, ownerB);
+        const a = listA[indexA] || unknown();
+        const b = listB[indexB] || unknown();
+        listA[indexA] = stale(b);
+        listB[indexB] = stale(a);
+    }
+    if (witnessId) {
+        learn(state, witnessId, ownerA, indexA);
+        learn(state, witnessId, ownerB, indexB);
+    }
+}
+
+/**
+ * A card left ownerId's hand (snap). The slot stays, empty, so the other
+ * slots keep their index.
+ */
+export function clearSlot(state, ownerId, handIndex) {
+    for (const observerId of observers(state)) {
+        slots(state, observerId, ownerId)[handIndex] = unknown();
+    }
+}
+
+/**
+ * A face-down card was dealt into a new slot at the end of ownerId's hand
+ * (slap penalty; see replaceSlot for an empty slot).
+ */
+export function appendUnknown(state, ownerId) {
+    for (const observerId of observers(state)) {
+        slots(state, observerId, ownerId).push(unknown());
+    }
+}
+
+/**
+ * A card moved from one hand to another (give after an opponent snap),
+ * into the empty slot `toIndex`. The giver keeps what they knew; everyone
+ * else only has a STALE memory.
+ */
+export function moveSlot(state, fromId, fromIndex, toId, toIndex) {
+    for (const observerId of observers(state)) {
+        const from = slots(state, observerId, fromId);
+        const entry = from[fromIndex] || unknown();
+        from[fromIndex] = unknown();
+        const moved = observerId === fromId || entry.status === KNOWLEDGE.UNKNOWN ? entry : stale(entry);
+        slots(state, observerId, toId)[toIndex] = moved;
+    }
+}
+
+/**
+ * What `observerId` knows, in the shape handed to clients:
+ * { ownerId: [{ status, rank, value, display }] } (card fields null if UNKNOWN).
+ */
+export function getKnowledgeView(state, observerId) {
+    const view = {};
+    for (const [ownerId, list] of Object.entries(state.knowledge[observerId] || {})) {
+        view[ownerId] = list.map(({ status, card }) => ({
+            status,
+            rank: card?.rank ?? null,
+            value: card?.value ?? null,
+            display: card?.display ?? null,
+        }));
+    }
+    return view;
+}
+
+function stale(entry) {
+    return entry.status === KNOWLEDGE.KNOWN ? { ...entry, status: KNOWLEDGE.STALE } : entry;
+}
+
+export default KNOWLEDGE;
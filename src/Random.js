@@ -0,0 +1,69 @@
+/**
+ * Seeded Randomness
+ * =================
+ *
+ * Every shuffle in the game goes through this module so a deal can be
+ * reproduced from its seed (bug reports, disputed games, daily challenges,
+ * replays). Seeds are strings; the generator is mulberry32, whose whole
+ * state is a single 32-bit integer that can be stored in game state.
+ */
+
+/**
+ * Hash any seed (string or number) into a 32-bit generator state.
+ */
+export function hashSeed(seed) {
+    const str = String(seed);
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a generator returning floats in [0, 1), like Math.random.
+ * The current state is exposed as `random.state` so it can be persisted
+ * and resumed later with createRng(random.state).
+ * @param {number} state - 32-bit generator state (see hashSeed)
+ */
+export function createRng(state) {
+    const random = () => {
+        random.state = (random.state + 0x6D2B79F5) >>> 0;
+        let t = random.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.state = state >>> 0;
+    return random;
+}
+
+/**
+ * Fisher-Yates shuffle in place.
+ * @param {Array} array
+ * @param {Function} random - Generator from createRng
+ */
+export function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * A fresh seed for a new game.
+ */
+export function generateSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * The same seed for everyone on a given (UTC) day.
+ */
+export function dailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
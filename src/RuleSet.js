@@ -0,0 +1,399 @@
+/**
+ * Kabul Rule Sets
+ * ===============
+ *
+ * A RuleSet describes everything that differs between tables:
+ *
+ *   values          -> points per rank (used for final scoring)
+ *   valueOverrides  -> points per exact card, e.g. 'K♥' (beats `values`)
+ *   abilities       -> ability triggered per rank when discarded (ABILITY.NONE: none)
+ *   abilityTrigger  -> which card's ability a turn uses (see ABILITY_TRIGGER)
+ *   slapPenalty     -> cards drawn for a wrong slap (or a wrong opponent snap)
+ *   opponentSnap    -> allow snapping an opponent's card, then giving them one of yours
+ *   mustSwapDiscardDraw   -> a card taken from the discard pile must be swapped in
+ *   abilitiesFromDeckOnly -> a card drawn from the discard pile never triggers its ability
+ *   emptyDeck       -> what happens when the deck runs out (see EMPTY_DECK)
+ *   timers          -> memorize / peek / action / snap / turn durations and
+ *                      the per-player time bank (ms)
+ *   turnTimeout     -> what happens to a player who runs out of time (see TURN_TIMEOUT)
+ *   kabul           -> rules for calling KABUL and the final turns
+ *   match           -> cumulative scoring across rounds and elimination
+ *   table           -> seat limits and how many players share one deck
+ *   hand            -> cards dealt to each player (see HAND_SIZES) and the
+ *                      positions they may look at while memorizing
+ *
+ * Rooms store the fully resolved RuleSet so every client scores the same
+ * way, even if the presets below change later.
+ */
+
+// ==================== ABILITIES ====================
+
+export const ABILITY = {
+    NONE: 'NONE',
+    PEEK_SELF: 'PEEK_SELF',         // see one of your own cards
+    PEEK_ENEMY: 'PEEK_ENEMY',       // see one opponent's card
+    BLIND_SWAP: 'BLIND_SWAP',       // swap without seeing
+    SEE_AND_SWAP: 'SEE_AND_SWAP',   // swap while seeing both cards
+};
+
+// Whose ability a turn uses: discarding the drawn card always uses its own.
+// abilitiesFromDeckOnly applies to drawn cards only, swapped in or not.
+export const ABILITY_TRIGGER = {
+    DRAWN_CARD: 'DRAWN_CARD',       // swapping it in still uses the drawn card's ability
+    ANY_DISCARD: 'ANY_DISCARD',     // swapping uses the ability of the card swapped out
+    NONE_ON_SWAP: 'NONE_ON_SWAP',   // swapping uses no ability
+};
+
+// ==================== KABUL CALLER ====================
+
+export const FAILED_CALL = {
+    NONE: 'NONE',       // no consequence
+    DOUBLE: 'DOUBLE',   // the caller's hand counts double (when above zero)
+    ADD: 'ADD',         // the caller gets `failedCallPoints` extra
+};
+
+// ==================== TIES ====================
+
+// Who takes a round when the lowest final scores are level (later positions too)
+export const TIEBREAK = {
+    FEWEST_CARDS: 'FEWEST_CARDS',   // fewer cards in hand wins; still level -> shared
+    CALLER_LOSES: 'CALLER_LOSES',   // the Kabul caller drops behind; the rest share
+    SHARED: 'SHARED',               // tied players share the win
+};
+
+// ==================== TURN TIMEOUT ====================
+
+export const TURN_TIMEOUT = {
+    DRAW_AND_DISCARD: 'DRAW_AND_DISCARD',   // draw from the deck and discard it unused
+    PASS: 'PASS',                           // end the turn without drawing
+};
+
+// ==================== EMPTY DECK ====================
+
+export const EMPTY_DECK = {
+    RESHUFFLE: 'RESHUFFLE',   // shuffle the discard pile (minus its top card) into a new deck
+    END_ROUND: 'END_ROUND',   // drawing from an empty deck ends the round
+};
+
+// ==================== HANDS ====================
+
+// Hands are dealt in two rows: 2x2, 2x3 or 2x4
+export const HAND_SIZES = [4, 6, 8];
+
+export const SUITS = ['♥', '♦', '♠', '♣'];
+export const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+const FACE_VALUES = {
+    'A': 1,
+    '2': 2, '3': 3, '4': 4, '5': 5, '6': 6,
+    '7': 7, '8': 8, '9': 9, '10': 10,
+    'J': 11,
+    'Q': 12,
+    'K': 13,
+};
+
+// ==================== PRESETS ====================
+
+export const RULESETS = {
+    /**
+     * The rules exactly as written down in Kabul.md.
+     */
+    KABUL_CLASSIC: {
+        id: 'KABUL_CLASSIC',
+        name: 'Kabul.md classic',
+        values: { ...FACE_VALUES, 'Joker': -1 },
+        valueOverrides: { 'K♥': 0, 'K♦': 0 },
+        abilities: {
+            '6': ABILITY.PEEK_ENEMY,
+            '7': ABILITY.PEEK_ENEMY,
+            '8': ABILITY.PEEK_SELF,
+            '9': ABILITY.PEEK_SELF,
+            '10': ABILITY.BLIND_SWAP,
+            'J': ABILITY.BLIND_SWAP,
+            'Q': ABILITY.SEE_AND_SWAP,
+            'K': ABILITY.SEE_AND_SWAP,
+        },
+        abilityTrigger: ABILITY_TRIGGER.NONE_ON_SWAP,
+        slapPenalty: 1,
+        opponentSnap: false,
+        mustSwapDiscardDraw: false,     // a card taken from the discard may be discarded again
+        abilitiesFromDeckOnly: false,   // any drawn card can use its ability, wherever it came from
+        emptyDeck: EMPTY_DECK.RESHUFFLE,
+        turnTimeout: TURN_TIMEOUT.DRAW_AND_DISCARD,
+        timers: {
+            memorize: 10000,    // at most; ends early once every player is READY
+            peek: 3000,
+            action: 15000,
+            snap: 3000,         // how long a discard can be snapped
+            turn: 30000,        // to draw, and again to swap/discard
+            bank: 0,            // extra chess-clock time per player and round (0 = off)
+        },
+        kabul: {
+            callWord: 'KABUL',
+            finalTurnsPerPlayer: 1,
+            // End-of-round scoring for the caller
+            failedCall: FAILED_CALL.NONE,      // when the caller is not strictly lowest
+            failedCallPoints: 10,
+            winnerScoresZero: false,     // a winning caller scores 0
+            tiebreak: TIEBREAK.SHARED,   // see TIEBREAK
+        },
+        match: {
+            eliminationScore: 100,  // eliminated when the running score goes above this
+            resetOnExact: false,    // house rule: landing exactly on it resets the score
+            resetScore: 50,
+        },
+        table: {
+            minPlayers: 2,
+            maxPlayers: 8,
+            playersPerDeck: 4,      // one more 54-card deck for every extra group of this size
+        },
+        hand: {
+            size: 4,
+            memorize: [2, 3],       // positions seen during MEMORIZE: the bottom row (0 = top left, row by row)
+        },
+    },
+
+    /**
+     * The rules the app shipped with before rule sets existed.
+     */
+    CURRENT_APP: {
+        id: 'CURRENT_APP',
+        name: 'Current app',
+        values: { ...FACE_VALUES, 'Joker': 0 },
+        valueOverrides: { 'K♥': -1, 'K♦': -1 },
+        abilities: {
+            '7': ABILITY.PEEK_SELF,
+            '8': ABILITY.PEEK_SELF,
+            '9': ABILITY.PEEK_ENEMY,
+            '10': ABILITY.PEEK_ENEMY,
+            'J': ABILITY.BLIND_SWAP,
+            'Q': ABILITY.SEE_AND_SWAP,
+            'K': ABILITY.SEE_AND_SWAP,
+        },
+        abilityTrigger: ABILITY_TRIGGER.ANY_DISCARD,
+        slapPenalty: 1,
+        opponentSnap: false,
+        mustSwapDiscardDraw: false,
+        abilitiesFromDeckOnly: false,
+        emptyDeck: EMPTY_DECK.RESHUFFLE,
+        turnTimeout: TURN_TIMEOUT.DRAW_AND_DISCARD,
+        timers: {
+            memorize: 10000,
+            peek: 3000,
+            action: 15000,
+            snap: 3000,
+            turn: 30000,
+            bank: 0,
+        },
+        kabul: {
+            callWord: 'KABUL',
+            finalTurnsPerPlayer: 1,
+            failedCall: FAILED_CALL.NONE,
+            failedCallPoints: 10,
+            winnerScoresZero: false,
+            tiebreak: TIEBREAK.SHARED,
+        },
+        match: {
+            eliminationScore: 100,
+            resetOnExact: false,
+            resetScore: 50,
+        },
+        table: {
+            minPlayers: 2,
+            maxPlayers: 8,
+            playersPerDeck: 4,
+        },
+        hand: {
+            size: 4,
+            memorize: [0, 1],
+        },
+    },
+
+    /**
+     * Cabo played with a standard deck: J/Q swap blind, only the King sees.
+     */
+    CABO: {
+        id: 'CABO',
+        name: 'Cabo',
+        values: { ...FACE_VALUES, 'Joker': 0 },
+        valueOverrides: { 'K♥': 0, 'K♦': 0 },
+        abilities: {
+            '7': ABILITY.PEEK_SELF,
+            '8': ABILITY.PEEK_SELF,
+            '9': ABILITY.PEEK_ENEMY,
+            '10': ABILITY.PEEK_ENEMY,
+            'J': ABILITY.BLIND_SWAP,
+            'Q': ABILITY.BLIND_SWAP,
+            'K': ABILITY.SEE_AND_SWAP,
+        },
+        abilityTrigger: ABILITY_TRIGGER.NONE_ON_SWAP,
+        slapPenalty: 2,
+        opponentSnap: false,
+        mustSwapDiscardDraw: true,
+        abilitiesFromDeckOnly: true,
+        emptyDeck: EMPTY_DECK.RESHUFFLE,
+        turnTimeout: TURN_TIMEOUT.DRAW_AND_DISCARD,
+        timers: {
+            memorize: 15000,
+            peek: 3000,
+            action: 20000,
+            snap: 3000,
+            turn: 30000,
+            bank: 0,
+        },
+        kabul: {
+            callWord: 'CABO',
+            finalTurnsPerPlayer: 1,
+            failedCall: FAILED_CALL.ADD,
+            failedCallPoints: 10,
+            winnerScoresZero: true,
+            tiebreak: TIEBREAK.CALLER_LOSES,
+        },
+        match: {
+            eliminationScore: 100,
+            resetOnExact: true,
+            resetScore: 50,
+        },
+        table: {
+            minPlayers: 2,
+            maxPlayers: 8,
+            playersPerDeck: 4,
+        },
+        hand: {
+            size: 4,
+            memorize: [0, 1],
+        },
+    },
+};
+
+export const DEFAULT_RULESET_ID = 'CURRENT_APP';
+
+// ==================== RESOLUTION ====================
+
+/**
+ * Resolve a RuleSet from a preset id, a (partial) RuleSet object or nothing.
+ * Partial objects are merged over their `id` preset (or the default one),
+ * key by key, maps included: leaving a rank out keeps the preset's entry, so
+ * take an ability away by setting it to ABILITY.NONE, e.g.
+ * { id: 'CURRENT_APP', abilities: { '7': ABILITY.NONE } }.
+ * @param {string|Object} [ruleSet]
+ * @returns {Object} A complete RuleSet
+ */
+export function resolveRuleSet(ruleSet) {
+    if (!ruleSet) {
+        return clone(RULESETS[DEFAULT_RULESET_ID]);
+    }
+    if (typeof ruleSet === 'string') {
+        const preset = RULESETS[ruleSet];
+        if (!preset) throw new Error(`Unknown ruleset: ${ruleSet}`);
+        return clone(preset);
+    }
+
+    const base = RULESETS[ruleSet.id] || RULESETS[DEFAULT_RULESET_ID];
+    const resolved = mergeDeep(clone(base), ruleSet);
+
+    // Rooms stored before tiebreaks only had this flag
+    if ('callerLosesTies' in resolved.kabul) {
+        if (resolved.kabul.callerLosesTies) resolved.kabul.tiebreak = TIEBREAK.CALLER_LOSES;
+        delete resolved.kabul.callerLosesTies;
+    }
+
+    if (!Object.values(ABILITY_TRIGGER).includes(resolved.abilityTrigger)) {
+        throw new Error(`Unknown ability trigger: ${resolved.abilityTrigger}`);
+    }
+
+    const { size, memorize } = resolved.hand;
+    if (!HAND_SIZES.includes(size)) {
+        throw new Error(`Hand size must be one of ${HAND_SIZES.join(', ')}`);
+    }
+    if (memorize.some(position => position < 0 || position >= size)) {
+        throw new Error(`Memorize positions must be between 0 and ${size - 1}`);
+    }
+    return resolved;
+}
+
+/**
+ * Columns of the hand grid (hands always have two rows).
+ */
+export function getHandColumns(ruleSet) {
+    return ruleSet.hand.size / 2;
+}
+
+// ==================== CARDS ====================
+
+/**
+ * Point value of a card under a RuleSet.
+ */
+export function getCardValue(ruleSet, rank, suit) {
+    const key = `${rank}${suit || ''}`;
+    if (ruleSet.valueOverrides && key in ruleSet.valueOverrides) {
+        return ruleSet.valueOverrides[key];
+    }
+    return ruleSet.values[rank] ?? 0;
+}
+
+/**
+ * Ability a rank triggers under a RuleSet ('NONE' if it has none).
+ */
+export function getCardAbility(ruleSet, rank) {
+    return ruleSet.abilities?.[rank] || ABILITY.NONE;
+}
+
+/**
+ * @param {number} [copy] - Which copy of this exact card (0 for the first),
+ *   so cards from several decks never share an id
+ */
+export function createCard(ruleSet, rank, suit, copy = 0) {
+    return {
+        id: `${rank}${suit || ''}#${copy}`,
+        rank,
+        suit,
+        value: getCardValue(ruleSet, rank, suit),
+        actionType: getCardAbility(ruleSet, rank),
+        display: suit ? `${rank}${suit}` : '🃏',
+    };
+}
+
+/**
+ * Generate an unshuffled deck of `decks` x 54 cards (52 + 2 Jokers each)
+ * for a RuleSet.
+ */
+export function generateDeck(ruleSet, decks = 1) {
+    const deck = [];
+    for (let d = 0; d < decks; d++) {
+        for (const suit of SUITS) {
+            for (const rank of RANKS) {
+                deck.push(createCard(ruleSet, rank, suit, d));
+            }
+        }
+        deck.push(createCard(ruleSet, 'Joker', null, 2 * d));
+        deck.push(createCard(ruleSet, 'Joker', null, 2 * d + 1));
+    }
+    return deck;
+}
+
+/**
+ * Number of decks shuffled together for a table of `playerCount`.
+ */
+export function getDeckCount(ruleSet, playerCount) {
+    return Math.max(1, Math.ceil(playerCount / ruleSet.table.playersPerDeck));
+}
+
+// ==================== HELPERS ====================
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+function mergeDeep(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            target[key] = mergeDeep(target[key] || {}, value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+export default RULESETS;
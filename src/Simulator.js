@@ -0,0 +1,224 @@
+/**
+ * Headless Simulator
+ * ==================
+ *
+ * Plays bot-only KabulGame rounds on a VirtualClock (see Clock.js), so
+ * thousands of games run in seconds without a browser or Firebase:
+ *
+ *   runSimulation({ games, seed, ruleSet, strategies }) -> report
+ *   toCSV(report)                                      -> one row per strategy
+ *
+ * A strategy is a bot profile: { name?, difficulty, ...overrides } where the
+ * overrides are Bot.js profile settings such as callAt or takeDiscardAt.
+ * Game i is dealt from `${seed}-${i}` and the seats rotate every game, so no
+ * strategy keeps the first-turn advantage.
+ */
+
+import { KabulGame } from './KabulGame.js';
+import { VirtualClock } from './Clock.js';
+import { EVENT_TYPES } from './GameReducer.js';
+import { ABILITY, resolveRuleSet } from './RuleSet.js';
+import { BOT_DIFFICULTY } from './Bot.js';
+
+// A round that runs longer than this is counted as unfinished
+const MAX_STEPS = 10000;
+
+const ABILITIES = Object.values(ABILITY).filter(ability => ability !== ABILITY.NONE);
+
+/**
+ * @param {Object} options
+ * @param {number} [options.games] - Rounds to play
+ * @param {string} [options.seed] - Base seed; game i uses `${seed}-${i}`
+ * @param {string|Object} [options.ruleSet] - RuleSet preset id or object
+ * @param {Object[]} options.strategies - One per seat (2 to ruleSet.table.maxPlayers)
+ * @returns {Object} Report (see tally/summarize)
+ */
+export function runSimulation({ games = 1000, seed = 'sim', ruleSet, strategies }) {
+    if (!Array.isArray(strategies) || strategies.length < 2) {
+        throw new Error('At least two strategies are needed');
+    }
+    const resolved = resolveRuleSet(ruleSet);
+    const seats = strategies.map((strategy, index) => ({
+        id: `s${index}`,
+        name: strategy.name || describeStrategy(strategy),
+        difficulty: strategy.difficulty || BOT_DIFFICULTY.NORMAL,
+        overrides: withoutKeys(strategy, ['name', 'difficulty']),
+    }));
+
+    const totals = {
+        games: 0,
+        unfinished: 0,
+        turns: 0,
+        duration: 0,
+        endedBy: {},
+        seats: Object.fromEntries(seats.map(seat => [seat.id, emptySeatTotals()])),
+    };
+
+    for (let i = 0; i < games; i++) {
+        tally(totals, playGame(resolved, seats, `${seed}-${i}`, i));
+    }
+
+    return summarize(totals, { seed, ruleSet: resolved.id, seats });
+}
+
+function playGame(ruleSet, seats, seed, index) {
+    const clock = new VirtualClock();
+    const game = new KabulGame(`sim-${index}`, ruleSet, { clock });
+
+    // Rotate the seating by one every game
+    for (let s = 0; s < seats.length; s++) {
+        const seat = seats[(s + index) % seats.length];
+        game.addPlayer(seat.id, seat.name, {
+            isBot: true,
+            difficulty: seat.difficulty,
+            strategy: seat.overrides,
+        });
+    }
+    game.startGame(seed);
+
+    let steps = 0;
+    while (game.state.phase !== 'ENDED' && steps < MAX_STEPS && clock.runNext()) {
+        steps++;
+    }
+    return { game, duration: clock.now() };
+}
+
+function emptySeatTotals() {
+    return {
+        wins: 0,
+        sharedWins: 0,
+        score: 0,
+        kabulCalls: 0,
+        kabulWins: 0,
+        snaps: 0,
+        missedSnaps: 0,
+        abilitiesSkipped: 0,
+        abilities: Object.fromEntries(ABILITIES.map(ability => [ability, 0])),
+    };
+}
+
+function tally(totals, { game, duration }) {
+    const { state } = game;
+    totals.games++;
+    if (state.phase !== 'ENDED') {
+        totals.unfinished++;
+        return;
+    }
+    totals.duration += duration;
+
+    for (const { events } of state.events) {
+        for (const event of events) {
+            const seat = totals.seats[event.playerId];
+            switch (event.type) {
+                case EVENT_TYPES.TURN_ADVANCED:
+                    totals.turns++;
+                    break;
+                case EVENT_TYPES.GAME_ENDED:
+                    totals.endedBy[event.reason] = (totals.endedBy[event.reason] || 0) + 1;
+                    break;
+                case EVENT_TYPES.ABILITY_STARTED:
+                    seat.abilities[event.ability]++;
+                    break;
+                case EVENT_TYPES.ABILITY_SKIPPED:
+                    seat.abilitiesSkipped++;
+                    break;
+                case EVENT_TYPES.SLAP_MATCHED:
+                case EVENT_TYPES.OPPONENT_SNAPPED:
+                    seat.snaps++;
+                    break;
+                case EVENT_TYPES.SLAP_MISSED:
+                case EVENT_TYPES.OPPONENT_SNAP_MISSED:
+                    seat.missedSnaps++;
+                    break;
+                case EVENT_TYPES.KABUL_CALLED:
+                    seat.kabulCalls++;
+                    if (state.winners.includes(event.playerId)) seat.kabulWins++;
+                    break;
+            }
+        }
+    }
+
+    for (const [id, seat] of Object.entries(totals.seats)) {
+        seat.score += state.players[id].finalScore;
+        // A shared win counts as a win for everyone in it
+        if (state.winners.includes(id)) seat.wins++;
+        if (state.winners.includes(id) && state.winners.length > 1) seat.sharedWins++;
+    }
+}
+
+function summarize(totals, { seed, ruleSet, seats }) {
+    const finished = totals.games - totals.unfinished;
+    return {
+        games: totals.games,
+        unfinished: totals.unfinished,
+        seed,
+        ruleSet,
+        averageTurns: ratio(totals.turns, finished),
+        averageDuration: ratio(totals.duration, finished),  // ms of (virtual) table time
+        endedBy: totals.endedBy,
+        strategies: seats.map(({ id, name, difficulty, overrides }) => {
+            const seat = totals.seats[id];
+            return {
+                name,
+                difficulty,
+                overrides,
+                wins: seat.wins,
+                sharedWins: seat.sharedWins,
+                winRate: ratio(seat.wins, finished),
+                averageScore: ratio(seat.score, finished),
+                kabulCalls: seat.kabulCalls,
+                kabulSuccessRate: ratio(seat.kabulWins, seat.kabulCalls),
+                snaps: seat.snaps,
+                missedSnaps: seat.missedSnaps,
+                abilities: seat.abilities,
+                abilitiesSkipped: seat.abilitiesSkipped,
+            };
+        }),
+    };
+}
+
+/**
+ * Flatten a report into CSV, one row per strategy.
+ */
+export function toCSV(report) {
+    const columns = [
+        'name', 'difficulty', 'wins', 'sharedWins', 'winRate', 'averageScore',
+        'kabulCalls', 'kabulSuccessRate', 'snaps', 'missedSnaps', 'abilitiesSkipped',
+    ];
+    const header = [
+        ...columns,
+        ...ABILITIES.map(ability => `ability_${ability}`),
+        'games', 'averageTurns', 'averageDuration',
+    ];
+
+    const rows = report.strategies.map(strategy => [
+        ...columns.map(column => strategy[column]),
+        ...ABILITIES.map(ability => strategy.abilities[ability]),
+        report.games, report.averageTurns, report.averageDuration,
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// ==================== HELPERS ====================
+
+function describeStrategy(strategy) {
+    const overrides = withoutKeys(strategy, ['name', 'difficulty']);
+    const parts = Object.entries(overrides).map(([key, value]) => `${key}=${value}`);
+    return [strategy.difficulty || BOT_DIFFICULTY.NORMAL, ...parts].join(' ');
+}
+
+function withoutKeys(obj, keys) {
+    return Object.fromEntries(Object.entries(obj).filter(([key]) => !keys.includes(key)));
+}
+
+function ratio(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default runSimulation;
@@ -139,7 +139,7 @@ const Card = ({
 /**
  * Opponent Card - smaller face-down cards for opponents
  */
-export const OpponentCard = ({ onClick, isSelected, size = 'sm' }) => {
+export const OpponentCard = ({ onClick, isSelected, isHighlighted = false, size = 'sm' }) => {
     const sizeClasses = {
         sm: 'w-10 h-14 md:w-12 md:h-16',
         md: 'w-12 h-16',
@@ -155,7 +155,9 @@ export const OpponentCard = ({ onClick, isSelected, size = 'sm' }) => {
                 'transition-all hover:-translate-y-1',
                 isSelected
                     ? 'border-primary ring-2 ring-primary/30'
-                    : 'border-blue-500/20 hover:border-primary/50'
+                    : isHighlighted
+                        ? 'border-primary/60 hover:border-primary'
+                        : 'border-blue-500/20 hover:border-primary/50'
             )}
         >
             <span className="material-symbols-outlined text-white/10 text-xl">diamond</span>
@@ -163,6 +165,20 @@ export const OpponentCard = ({ onClick, isSelected, size = 'sm' }) => {
     );
 };
 
+/**
+ * Empty Slot - where a snapped card used to be, so the other cards keep their place
+ */
+export const EmptySlot = ({ size = 'md' }) => {
+    const sizeClasses = {
+        sm: 'w-10 h-14 md:w-12 md:h-16',
+        md: 'w-20 h-28 md:w-28 md:h-40',
+    };
+
+    return (
+        <div className={clsx(sizeClasses[size], 'rounded-lg border-2 border-dashed border-gray-700/60')} />
+    );
+};
+
 /**
  * Draw Pile - deck with stack effect
  */
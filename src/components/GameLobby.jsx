@@ -10,6 +10,7 @@ import clsx from 'clsx';
  * - selectedRoomId: string
  * - onSelectRoom: function(roomId)
  * - onJoinRoom: function(roomId)
+ * - onSpectateRoom: function(roomId) - watch a full or running room
  * - onCreateRoom: function
  * - onOpenRules: function
  * - onLogout: function
@@ -20,6 +21,7 @@ const GameLobby = ({
     selectedRoomId,
     onSelectRoom,
     onJoinRoom,
+    onSpectateRoom,
     onCreateRoom,
     onOpenRules,
     onLogout,
@@ -136,7 +138,7 @@ const GameLobby = ({
                             </thead>
                             <tbody className="divide-y divide-[#e5e7eb] dark:divide-[#283039]">
                                 {filteredRooms.map((room) => {
-                                    const isFull = room.playerCount >= room.maxPlayers;
+                                    const isFull = room.playerCount >= room.maxPlayers || room.status !== 'WAITING';
                                     const isSelected = room.id === selectedRoomId;
 
                                     return (
@@ -190,8 +192,11 @@ const GameLobby = ({
                                             <td className="px-6 py-4 text-right">
                                                 {isFull ? (
                                                     <button
-                                                        disabled
-                                                        className="bg-transparent text-[#637588] dark:text-[#9dabb9] text-xs font-bold py-2 px-4 rounded-lg cursor-not-allowed"
+                                                        onClick={(e) => {
+                                                            e.stopPropagation();
+                                                            onSpectateRoom?.(room.id);
+                                                        }}
+                                                        className="bg-transparent hover:bg-[#f0f2f5] dark:hover:bg-[#283039] text-[#637588] dark:text-[#9dabb9] text-xs font-bold py-2 px-4 rounded-lg transition-colors"
                                                     >
                                                         Spectate
                                                     </button>
@@ -269,6 +274,11 @@ const SelectedRoomPanel = ({ room, onJoin }) => {
                         <p className="text-sm text-[#637588] dark:text-[#9dabb9]">
                             Host: <span className="text-primary font-medium">@{room.hostName}</span>
                         </p>
+                        {room.ruleSetName && (
+                            <p className="text-xs text-[#637588] dark:text-[#9dabb9]">
+                                Rules: <span className="font-medium">{room.ruleSetName}</span>
+                            </p>
+                        )}
                     </div>
                 </div>
             </div>
@@ -1,6 +1,22 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import clsx from 'clsx';
-import Card, { OpponentCard, DrawPile, DiscardPile } from './Card';
+import Card, { OpponentCard, EmptySlot, DrawPile, DiscardPile } from './Card';
+import { ACTION_TYPES } from '../GameReducer';
+import { ABILITY_TRIGGER } from '../RuleSet';
+
+// Full class names so Tailwind keeps them (hands are 2x2, 2x3 or 2x4)
+const HAND_GRID_COLUMNS = {
+    2: 'grid-cols-2',
+    3: 'grid-cols-3',
+    4: 'grid-cols-4',
+};
+
+// What the drawn card's ability does under each trigger policy
+const ABILITY_HINTS = {
+    [ABILITY_TRIGGER.DRAWN_CARD]: 'Its ability works whether you discard it or swap it in',
+    [ABILITY_TRIGGER.ANY_DISCARD]: 'Swapping uses the ability of the card you swap out',
+    [ABILITY_TRIGGER.NONE_ON_SWAP]: 'Only discarding it uses its ability - swapping uses none',
+};
 
 /**
  * GameTable - Simplified, Working Game Table
@@ -11,66 +27,139 @@ const GameTable = ({
     players = {},
     myHand = [],
     myPrivate = {},
-    onDrawDeck,
-    onDrawDiscard,
-    onSwapCard,
+    onAction,
     onDiscardDrawn,
     onSlap,
-    onCallKabul,
-    onSelectOwnCard,
-    onSelectEnemyCard,
     onConfirmSwap,
     onSkipAbility,
+    onSnapOpponent,
+    onOpenRules,
+    ruleSet = null,         // resolved RuleSet (hand size, memorize positions, ability rules)
+    isSpectator = false,
+    revealedHands = null,   // director mode: { playerId: [card] }, shown instead of card backs
 }) => {
     const [selectedCardIndex, setSelectedCardIndex] = useState(null);
     const longPressTimer = useRef(null);
     const LONG_PRESS_DURATION = 500; // 500ms for long press
 
     // Extract state
-    const { currentTurn, turnPhase, abilityState, kabulCaller } = gameState;
+    const { currentTurn, turnPhase, abilityState, kabulCaller, dealer, snapWindow, pendingGive } = gameState;
     const isMyTurn = currentTurn === myPlayerId;
     const drawnCard = myPrivate?.drawnCard;
     const revealedCard = myPrivate?.revealedCard;
     const swapPreview = myPrivate?.swapPreview;
 
-    // Get other players (opponents)
-    const opponents = Object.entries(players).filter(([id]) => id !== myPlayerId);
+    // Get other players (opponents), clockwise from my left
+    const seating = gameState.seating || Object.keys(players);
+    const mySeat = seating.indexOf(myPlayerId);
+    const opponents = [...seating.slice(mySeat + 1), ...seating.slice(0, Math.max(mySeat, 0))]
+        .filter(id => id !== myPlayerId && players[id] && !players[id].eliminated)
+        .map(id => [id, players[id]]);
     const myPlayer = players[myPlayerId];
 
+    // Hands are laid out in two rows; penalty cards wrap onto extra rows
+    const handSize = ruleSet?.hand.size ?? 4;
+    const memorizePositions = ruleSet?.hand.memorize ?? [0, 1];
+    const handGrid = HAND_GRID_COLUMNS[handSize / 2];
+
+    const myAbility = abilityState?.activePlayer === myPlayerId ? abilityState : null;
+    const isSwapAbility = ['BLIND_SWAP', 'SEE_AND_SWAP'].includes(myAbility?.type);
+
+    // What I may do right now, as ready-to-send reducer actions (see getLegalActions)
+    const legalActions = myPrivate?.legalActions || [];
+    const findLegal = (predicate) => legalActions.find(predicate);
+    const drawDeck = findLegal(a => a.type === ACTION_TYPES.DRAW && a.source === 'deck');
+    const drawDiscard = findLegal(a => a.type === ACTION_TYPES.DRAW && a.source === 'discard');
+    const callKabul = findLegal(a => a.type === ACTION_TYPES.CALL_KABUL);
+    const markReady = findLegal(a => a.type === ACTION_TYPES.READY);
+    const discardDrawn = findLegal(a => a.type === ACTION_TYPES.DISCARD);
+
+    const trigger = ruleSet?.abilityTrigger || ABILITY_TRIGGER.ANY_DISCARD;
+    const abilityHint = ruleSet?.abilitiesFromDeckOnly && drawnCard?.source === 'discard'
+        ? (trigger === ABILITY_TRIGGER.ANY_DISCARD
+            ? 'A card from the discard pile has no ability - swapping uses the ability of the card you swap out'
+            : 'No ability this turn - the card came from the discard pile')
+        : ABILITY_HINTS[trigger];
+
+    // Memorizing ends once everyone is ready (or the ruleset's maximum runs out)
+    const isMemorizing = gameState.phase === 'MEMORIZE';
+    const isStillLooking = (playerId) => isMemorizing && !(gameState.ready || []).includes(playerId);
+    const canSkip = legalActions.some(a => a.type === ACTION_TYPES.SKIP_ABILITY);
+
+    // An opponent card I can peek at, or swap with the own card I picked
+    const findTargetAction = (playerId, index) => findLegal(a => a.targetId === playerId && (
+        a.type === ACTION_TYPES.PEEK_ENEMY
+            ? a.handIndex === index
+            : [ACTION_TYPES.BLIND_SWAP, ACTION_TYPES.REVEAL_SWAP].includes(a.type) &&
+                a.targetIndex === index && a.ownIndex === selectedCardIndex
+    ));
+
+    // Snapping is only possible for a short while after each discard
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        if (!snapWindow || snapWindow.winner) return;
+        const remaining = snapWindow.closesAt - Date.now();
+        if (remaining <= 0) return;
+        const timer = setTimeout(() => setNow(Date.now()), remaining);
+        return () => clearTimeout(timer);
+    }, [snapWindow?.closesAt, snapWindow?.winner]);
+    const isSnapOpen = Boolean(snapWindow && !snapWindow.winner && now <= snapWindow.closesAt);
+
+    // Turn clock (or the memorize countdown): tick once a second while a deadline is running
+    const { turnDeadline } = gameState;
+    const timeoutAt = gameState.phase === 'MEMORIZE' ? gameState.memorizeEndsAt : gameState.timeoutAt;
+    useEffect(() => {
+        if (!timeoutAt) return;
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [timeoutAt]);
+    const secondsLeft = timeoutAt ? Math.max(0, Math.ceil((timeoutAt - now) / 1000)) : null;
+    const isUsingTimeBank = turnDeadline && now > turnDeadline;
+
+    // The Kabul caller's cards can no longer be peeked, swapped or slapped
+    const isLocked = (playerId) => kabulCaller === playerId;
+
+    // After snapping an opponent's card I owe them one of mine
+    const mustGiveTo = pendingGive?.playerId === myPlayerId ? pendingGive.targetId : null;
+
     // Get action message
     const getActionMessage = () => {
+        if (isMemorizing) {
+            return markReady ? 'MEMORIZE YOUR CARDS' : 'WAITING FOR THE OTHERS';
+        }
+        if (mustGiveTo) {
+            return `GIVE ${(players[mustGiveTo]?.name || 'OPPONENT').toUpperCase()} ONE OF YOUR CARDS`;
+        }
         if (!isMyTurn) {
             const currentPlayerName = players[currentTurn]?.name || 'Opponent';
             return `${currentPlayerName.toUpperCase()}'S TURN`;
         }
-        if (drawnCard) return 'DISCARD OR SWAP';
+        if (drawnCard) return discardDrawn ? 'DISCARD OR SWAP' : 'SWAP IT INTO YOUR HAND';
         if (turnPhase === 'DRAWING') return 'DRAW A CARD TO START';
-        if (turnPhase === 'SELECTING_TARGET') return 'SELECT A CARD';
+        if (turnPhase === 'SELECTING_OWN_CARD') return 'SELECT ONE OF YOUR CARDS';
+        if (turnPhase === 'SELECTING_TARGET') {
+            return isSwapAbility && selectedCardIndex === null ? 'SELECT YOUR CARD' : 'SELECT A CARD';
+        }
         if (turnPhase === 'CONFIRMING_SWAP') return 'CONFIRM SWAP?';
         return 'YOUR TURN';
     };
 
     // Handle my card click
     const handleMyCardClick = (index) => {
-        if (!isMyTurn) return;
-
-        // If we have a drawn card, swap it with this position
-        if (drawnCard) {
-            onSwapCard?.(index);
+        // Giving a card, swapping in the drawn card or peeking takes one click
+        const direct = findLegal(a =>
+            [ACTION_TYPES.GIVE_CARD, ACTION_TYPES.SWAP, ACTION_TYPES.PEEK_OWN].includes(a.type) && a.handIndex === index);
+        if (direct) {
+            onAction?.(direct);
             return;
         }
 
-        // If in ability selection phase
-        if (turnPhase === 'SELECTING_TARGET' && abilityState) {
-            const abilityType = abilityState.type;
-            if (abilityType === 'PEEK_SELF') {
-                onSelectOwnCard?.(index);
-            } else if (['BLIND_SWAP', 'SEE_AND_SWAP'].includes(abilityType)) {
-                setSelectedCardIndex(index);
-                onSelectOwnCard?.(index);
-            }
+        // Swap abilities: remember own card; the swap is sent once an opponent card is picked
+        if (findLegal(a => a.ownIndex === index)) {
+            setSelectedCardIndex(index);
             return;
         }
+        if (!isMyTurn) return;
 
         // Toggle selection
         setSelectedCardIndex(selectedCardIndex === index ? null : index);
@@ -78,21 +167,29 @@ const GameTable = ({
 
     // Handle opponent card click
     const handleOpponentCardClick = (playerId, cardIndex) => {
-        if (!isMyTurn) return;
-
-        if (turnPhase === 'SELECTING_TARGET' && abilityState) {
-            onSelectEnemyCard?.(playerId, cardIndex);
-        }
+        const action = findTargetAction(playerId, cardIndex);
+        if (!action) return;
+        onAction?.(action);
+        setSelectedCardIndex(null);
     };
 
     // Long-press handlers for SLAP
     const handleCardPressStart = (index) => {
+        if (isLocked(myPlayerId)) return;
         longPressTimer.current = setTimeout(() => {
             // SLAP! - can be done anytime if card matches discard
             onSlap?.(index);
         }, LONG_PRESS_DURATION);
     };
 
+    // Long-press an opponent's card to snap it (only if the rules allow it)
+    const handleOpponentPressStart = (playerId, index) => {
+        if (!onSnapOpponent || isLocked(myPlayerId) || isLocked(playerId)) return;
+        longPressTimer.current = setTimeout(() => {
+            onSnapOpponent(playerId, index);
+        }, LONG_PRESS_DURATION);
+    };
+
     const handleCardPressEnd = () => {
         if (longPressTimer.current) {
             clearTimeout(longPressTimer.current);
@@ -114,16 +211,33 @@ const GameTable = ({
                     )}>
                         {getActionMessage()}
                     </span>
+                    {secondsLeft !== null && (
+                        <span className={clsx('font-mono text-sm', isUsingTimeBank ? 'text-red-400' : 'text-white/60')}>
+                            ⏱ {secondsLeft}s{isUsingTimeBank && ' (bank)'}
+                        </span>
+                    )}
                     {kabulCaller && (
                         <span className="text-yellow-400 font-bold text-sm">
                             KABUL by {players[kabulCaller]?.name}
                         </span>
                     )}
+                    {onOpenRules && (
+                        <button
+                            onClick={onOpenRules}
+                            className="flex items-center gap-1 text-white/60 hover:text-white text-sm"
+                        >
+                            <span className="material-symbols-outlined text-base">menu_book</span>
+                            Rules
+                        </button>
+                    )}
                 </div>
             </div>
 
             {/* Opponents Section */}
-            <div className="w-full max-w-2xl flex justify-center gap-8 mb-6 flex-wrap">
+            <div className={clsx(
+                'w-full max-w-4xl flex justify-center mb-6 flex-wrap',
+                opponents.length > 3 ? 'gap-4' : 'gap-8'
+            )}>
                 {opponents.map(([opponentId, opponent]) => (
                     <div key={opponentId} className="flex flex-col items-center gap-2">
                         {/* Opponent Avatar */}
@@ -131,20 +245,48 @@ const GameTable = ({
                             'w-12 h-12 rounded-full flex items-center justify-center text-white font-bold text-lg',
                             currentTurn === opponentId ? 'bg-primary ring-2 ring-primary/50' : 'bg-[#283039]'
                         )}>
-                            {opponent.name?.[0]?.toUpperCase() || '?'}
+                            {opponent.isBot
+                                ? <span className="material-symbols-outlined">smart_toy</span>
+                                : opponent.name?.[0]?.toUpperCase() || '?'}
                         </div>
-                        <span className="text-white/60 text-xs">{opponent.name}</span>
+                        <span className="text-white/60 text-xs">
+                            {opponent.name}{dealer === opponentId && ' (Dealer)'}
+                        </span>
+                        {isMemorizing && (
+                            <span className={clsx('text-[10px]', isStillLooking(opponentId) ? 'text-white/40' : 'text-green-400')}>
+                                {isStillLooking(opponentId) ? 'still looking…' : 'ready ✓'}
+                            </span>
+                        )}
 
                         {/* Opponent Cards */}
-                        <div className="grid grid-cols-2 gap-1 p-2 bg-[#1e2732] rounded-lg">
-                            {(opponent.hand || [0, 1, 2, 3]).map((_, idx) => (
-                                <OpponentCard
+                        <div className={clsx(
+                            'relative grid gap-1 p-2 rounded-lg', handGrid,
+                            isLocked(opponentId) ? 'bg-[#1e2732]/60 ring-2 ring-yellow-500/50' : 'bg-[#1e2732]'
+                        )}>
+                            {revealedHands ? (revealedHands[opponentId] || []).map((card, idx) => (
+                                card.empty
+                                    ? <EmptySlot key={idx} size="sm" />
+                                    : <Card key={idx} rank={card.rank} suit={card.suit} size="sm" />
+                            )) : (opponent.hand || []).map((slot, idx) => slot.empty ? (
+                                <EmptySlot key={idx} size="sm" />
+                            ) : (
+                                <div
                                     key={idx}
-                                    onClick={() => handleOpponentCardClick(opponentId, idx)}
-                                    isSelected={abilityState?.targetPlayer === opponentId && abilityState?.targetCardIndex === idx}
-                                    size="sm"
-                                />
+                                    onMouseDown={() => handleOpponentPressStart(opponentId, idx)}
+                                    onMouseUp={handleCardPressEnd}
+                                    onMouseLeave={handleCardPressEnd}
+                                    onTouchStart={() => handleOpponentPressStart(opponentId, idx)}
+                                    onTouchEnd={handleCardPressEnd}
+                                >
+                                    <OpponentCard
+                                        onClick={() => handleOpponentCardClick(opponentId, idx)}
+                                        isSelected={abilityState?.targetPlayer === opponentId && abilityState?.targetCardIndex === idx}
+                                        isHighlighted={Boolean(findTargetAction(opponentId, idx))}
+                                        size="sm"
+                                    />
+                                </div>
                             ))}
+                            {isLocked(opponentId) && <LockedOverlay />}
                         </div>
                     </div>
                 ))}
@@ -152,12 +294,14 @@ const GameTable = ({
 
             {/* Center - Deck & Discard */}
             <div className="flex items-center gap-6 mb-6">
-                {/* Draw Pile */}
+                {/* Draw Pile (re-mounted, and so re-dealt, whenever the discard pile is reshuffled into it) */}
                 <div
-                    onClick={isMyTurn && turnPhase === 'DRAWING' ? onDrawDeck : undefined}
+                    key={gameState.deckReshuffles || 0}
+                    onClick={drawDeck ? () => onAction?.(drawDeck) : undefined}
                     className={clsx(
                         'relative w-20 h-28 bg-gradient-to-br from-primary to-blue-700 rounded-lg flex items-center justify-center cursor-pointer',
-                        isMyTurn && turnPhase === 'DRAWING' ? 'hover:scale-105 ring-2 ring-primary/50' : 'opacity-60'
+                        gameState.deckReshuffles > 0 && 'card-deal',
+                        drawDeck ? 'hover:scale-105 ring-2 ring-primary/50' : 'opacity-60'
                     )}
                 >
                     <span className="text-white/30 text-3xl">♠</span>
@@ -168,7 +312,7 @@ const GameTable = ({
 
                 {/* Discard Pile */}
                 <div
-                    onClick={isMyTurn && turnPhase === 'DRAWING' ? onDrawDiscard : undefined}
+                    onClick={drawDiscard ? () => onAction?.(drawDiscard) : undefined}
                     className="relative"
                 >
                     {gameState.topDiscard ? (
@@ -177,7 +321,7 @@ const GameTable = ({
                             suit={gameState.topDiscard.suit}
                             size="md"
                             className={clsx(
-                                isMyTurn && turnPhase === 'DRAWING' && 'cursor-pointer hover:scale-105'
+                                drawDiscard && 'cursor-pointer hover:scale-105'
                             )}
                         />
                     ) : (
@@ -194,14 +338,21 @@ const GameTable = ({
                     <span className="text-primary text-xs font-bold uppercase">Drawn Card</span>
                     <Card rank={drawnCard.rank} suit={drawnCard.suit} size="md" isSelected />
                     <div className="flex gap-2 mt-2">
-                        <button
-                            onClick={onDiscardDrawn}
-                            className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-2 px-4 rounded-lg"
-                        >
-                            Discard
-                        </button>
-                        <span className="text-white/60 text-xs self-center">or click your card to swap</span>
+                        {discardDrawn ? (
+                            <>
+                                <button
+                                    onClick={onDiscardDrawn}
+                                    className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-2 px-4 rounded-lg"
+                                >
+                                    Discard
+                                </button>
+                                <span className="text-white/60 text-xs self-center">or click your card to swap</span>
+                            </>
+                        ) : (
+                            <span className="text-white/60 text-xs self-center">Taken from the discard pile - click your card to swap</span>
+                        )}
                     </div>
+                    <span className="text-white/40 text-[10px] text-center">{abilityHint}</span>
                 </div>
             )}
 
@@ -247,71 +398,103 @@ const GameTable = ({
                 </div>
             )}
 
-            {/* My Hand */}
-            <div className={clsx(
-                'grid grid-cols-2 gap-3 p-4 rounded-xl border w-fit',
-                isMyTurn ? 'bg-[#1e2732] border-primary/30' : 'bg-[#151b24] border-gray-700'
-            )}>
-                {myHand.map((card, idx) => {
-                    // Determine if card should be visible
-                    const isMemorizePhase = gameState.phase === 'MEMORIZE';
-                    const canSeeInMemorize = isMemorizePhase && idx < 2; // Only first 2 cards in memorize
-                    const isRevealedByPowerCard = revealedCard?.position === idx;
-
-                    // Card is face-down unless:
-                    // 1. We're in MEMORIZE phase and it's one of first 2 cards
-                    // 2. It's been revealed by a power card (peek)
-                    const shouldShowFace = canSeeInMemorize || isRevealedByPowerCard;
-                    const displayCard = isRevealedByPowerCard ? revealedCard : card;
-
-                    return (
-                        <div
-                            key={idx}
-                            onMouseDown={() => handleCardPressStart(idx)}
-                            onMouseUp={handleCardPressEnd}
-                            onMouseLeave={handleCardPressEnd}
-                            onTouchStart={() => handleCardPressStart(idx)}
-                            onTouchEnd={handleCardPressEnd}
+            {isSpectator ? (
+                <p className="text-white/40 text-xs">
+                    {revealedHands ? 'Director view: hands are shown with a delay' : 'Spectating'}
+                </p>
+            ) : (
+                <>
+                    {/* My Hand */}
+                    <div className={clsx(
+                        'relative grid gap-3 p-4 rounded-xl border w-fit', handGrid,
+                        isLocked(myPlayerId) ? 'bg-[#151b24] border-yellow-500/50'
+                            : isMyTurn ? 'bg-[#1e2732] border-primary/30' : 'bg-[#151b24] border-gray-700'
+                    )}>
+                        {myHand.map((card, idx) => {
+                            if (card.empty) return <EmptySlot key={idx} size="md" />;
+
+                            // Determine if card should be visible
+                            const isMemorizePhase = gameState.phase === 'MEMORIZE';
+                            const canSeeInMemorize = isMemorizePhase && memorizePositions.includes(idx);
+                            const isRevealedByPowerCard = revealedCard?.position === idx;
+
+                            // Card is face-down unless:
+                            // 1. We're in MEMORIZE phase and it's one of the memorize positions
+                            // 2. It's been revealed by a power card (peek)
+                            const shouldShowFace = canSeeInMemorize || isRevealedByPowerCard;
+                            const displayCard = isRevealedByPowerCard ? revealedCard : card;
+
+                            return (
+                                <div
+                                    key={idx}
+                                    onMouseDown={() => handleCardPressStart(idx)}
+                                    onMouseUp={handleCardPressEnd}
+                                    onMouseLeave={handleCardPressEnd}
+                                    onTouchStart={() => handleCardPressStart(idx)}
+                                    onTouchEnd={handleCardPressEnd}
+                                >
+                                    <Card
+                                        rank={shouldShowFace ? displayCard?.rank : null}
+                                        suit={shouldShowFace ? displayCard?.suit : null}
+                                        isFaceDown={!shouldShowFace}
+                                        isSelected={selectedCardIndex === idx}
+                                        onClick={() => handleMyCardClick(idx)}
+                                        size="md"
+                                        isDisabled={!mustGiveTo && !isMyTurn && turnPhase !== 'DRAWING'}
+                                    />
+                                </div>
+                            );
+                        })}
+                        {isLocked(myPlayerId) && <LockedOverlay />}
+                    </div>
+                    <p className="text-white/40 text-xs mt-2">
+                        {isLocked(myPlayerId)
+                            ? 'Your cards are locked until the round ends'
+                            : isSnapOpen
+                                ? `SNAP NOW! Long-press ${onSnapOpponent ? 'any' : 'a'} card matching the ${snapWindow.card.display}`
+                                : 'Long-press a card to SLAP if it matches discard'}
+                    </p>
+
+                    {/* Action Buttons */}
+                    <div className="mt-4 flex gap-3">
+                        {isMemorizing && (
+                            <button
+                                onClick={() => onAction?.(markReady)}
+                                disabled={!markReady}
+                                className={clsx(
+                                    'font-bold py-3 px-6 rounded-xl transition-all',
+                                    markReady
+                                        ? 'bg-green-600 hover:bg-green-700 text-white'
+                                        : 'bg-[#283039] text-gray-500 cursor-not-allowed'
+                                )}
+                            >
+                                {markReady ? "✓ I've memorised" : 'Ready'}
+                            </button>
+                        )}
+                        <button
+                            onClick={() => onAction?.(callKabul)}
+                            disabled={!callKabul}
+                            className={clsx(
+                                'flex items-center gap-2 font-bold py-3 px-6 rounded-xl transition-all',
+                                callKabul
+                                    ? 'bg-primary hover:bg-blue-600 text-white'
+                                    : 'bg-[#283039] text-gray-500 cursor-not-allowed'
+                            )}
                         >
-                            <Card
-                                rank={shouldShowFace ? displayCard?.rank : null}
-                                suit={shouldShowFace ? displayCard?.suit : null}
-                                isFaceDown={!shouldShowFace}
-                                isSelected={selectedCardIndex === idx}
-                                onClick={() => handleMyCardClick(idx)}
-                                size="md"
-                                isDisabled={!isMyTurn && turnPhase !== 'DRAWING'}
-                            />
-                        </div>
-                    );
-                })}
-            </div>
-            <p className="text-white/40 text-xs mt-2">Long-press a card to SLAP if it matches discard</p>
+                            📣 Kabul
+                        </button>
 
-            {/* Action Buttons */}
-            <div className="mt-4 flex gap-3">
-                <button
-                    onClick={onCallKabul}
-                    disabled={!isMyTurn || turnPhase !== 'DRAWING'}
-                    className={clsx(
-                        'flex items-center gap-2 font-bold py-3 px-6 rounded-xl transition-all',
-                        isMyTurn && turnPhase === 'DRAWING'
-                            ? 'bg-primary hover:bg-blue-600 text-white'
-                            : 'bg-[#283039] text-gray-500 cursor-not-allowed'
-                    )}
-                >
-                    📣 Kabul
-                </button>
-
-                {abilityState?.activePlayer === myPlayerId && (
-                    <button
-                        onClick={onSkipAbility}
-                        className="bg-gray-600 hover:bg-gray-700 text-white font-medium py-3 px-6 rounded-xl"
-                    >
-                        Skip Ability
-                    </button>
-                )}
-            </div>
+                        {canSkip && turnPhase !== 'CONFIRMING_SWAP' && (
+                            <button
+                                onClick={onSkipAbility}
+                                className="bg-gray-600 hover:bg-gray-700 text-white font-medium py-3 px-6 rounded-xl"
+                            >
+                                Skip Ability
+                            </button>
+                        )}
+                    </div>
+                </>
+            )}
 
             {/* Debug Info (remove in production) */}
             <div className="mt-4 text-[10px] text-gray-600">
@@ -321,4 +504,13 @@ const GameTable = ({
     );
 };
 
+/**
+ * Shown over the hand of the player who called Kabul
+ */
+const LockedOverlay = () => (
+    <div className="absolute inset-0 flex items-center justify-center rounded-lg bg-black/30 pointer-events-none">
+        <span className="material-symbols-outlined text-yellow-400 text-2xl">lock</span>
+    </div>
+);
+
 export default GameTable;
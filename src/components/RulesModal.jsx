@@ -1,5 +1,67 @@
 import React from 'react';
 import clsx from 'clsx';
+import { ABILITY, ABILITY_TRIGGER, RANKS, resolveRuleSet, getCardAbility } from '../RuleSet';
+
+// What each ability does, strongest first
+const ABILITY_EFFECTS = {
+    [ABILITY.SEE_AND_SWAP]: {
+        title: 'See & Swap',
+        description: 'Switch any two cards on the table, and look at both cards involved in the swap.',
+        icon: 'visibility',
+        highlight: 'look at both cards',
+    },
+    [ABILITY.BLIND_SWAP]: {
+        title: 'Blind Swap',
+        description: 'Switch any two cards on the table. You cannot look at the cards.',
+        icon: 'swap_horiz',
+        highlight: 'cannot look',
+        highlightColor: 'text-red-400',
+    },
+    [ABILITY.PEEK_ENEMY]: {
+        title: 'Peek Enemy',
+        description: "Look at one of another player's cards.",
+        icon: 'group_search',
+        highlight: "another player's cards",
+    },
+    [ABILITY.PEEK_SELF]: {
+        title: 'Peek Self',
+        description: 'Look at one of your own cards.',
+        icon: 'person_search',
+        highlight: 'your own cards',
+    },
+};
+
+const RANK_NAMES = { 'Joker': 'Joker', 'A': 'Ace', 'J': 'Jack', 'Q': 'Queen', 'K': 'King' };
+
+// [icon, color] per rank; number cards use NUMBER_ICON, per-card overrides OVERRIDE_ICON
+const RANK_ICONS = {
+    'Joker': ['sentiment_very_satisfied', 'text-purple-500'],
+    'A': ['filter_1', 'text-blue-400'],
+    'J': ['person', 'text-orange-400'],
+    'Q': ['face', 'text-pink-400'],
+    'K': ['skull', 'text-gray-400'],
+};
+const NUMBER_ICON = ['123', 'text-gray-400'];
+const OVERRIDE_ICON = ['favorite', 'text-red-500'];
+
+// When card effects happen under each trigger policy (see ABILITY_TRIGGER)
+const TRIGGER_RULES = {
+    [ABILITY_TRIGGER.DRAWN_CARD]: {
+        title: 'The Drawn Card Counts',
+        description: 'A card you draw gives you its effect whether you discard it or swap it into your hand.',
+        highlight: 'whether you discard it or swap it',
+    },
+    [ABILITY_TRIGGER.ANY_DISCARD]: {
+        title: 'Every Discard Counts',
+        description: 'Discard the card you drew for its effect. If you swap it in instead, the card you swap out gives you its effect.',
+        highlight: 'the card you swap out',
+    },
+    [ABILITY_TRIGGER.NONE_ON_SWAP]: {
+        title: 'Discard to Use It',
+        description: 'Effects only happen when you discard the card you just drew. Swapping it into your hand has no effect.',
+        highlight: 'discard the card you just drew',
+    },
+};
 
 /**
  * RulesModal Component - Game rules and card effects popup
@@ -7,10 +69,22 @@ import clsx from 'clsx';
  * Props:
  * - isOpen: boolean
  * - onClose: function
+ * - ruleSet: the table's resolved RuleSet (defaults to the default preset)
  */
-const RulesModal = ({ isOpen, onClose }) => {
+const RulesModal = ({ isOpen, onClose, ruleSet = null }) => {
     if (!isOpen) return null;
 
+    const rules = ruleSet || resolveRuleSet();
+    const trigger = TRIGGER_RULES[rules.abilityTrigger];
+    const valueGroups = getValueGroups(rules);
+    const effects = Object.entries(ABILITY_EFFECTS)
+        .map(([ability, effect]) => ({ ...effect, cards: RANKS.filter(rank => getCardAbility(rules, rank) === ability) }))
+        .filter(effect => effect.cards.length > 0);
+    const callWord = rules.kabul.callWord;
+    const lowest = valueGroups.slice(0, 2).map(group => `${group.title} = ${group.value}`).join(', ');
+    const snapSeconds = rules.timers.snap / 1000;
+    const finalTurns = rules.kabul.finalTurnsPerPlayer;
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
             {/* Backdrop */}
@@ -57,68 +131,9 @@ const RulesModal = ({ isOpen, onClose }) => {
                     </h2>
 
                     <div className="grid grid-cols-[repeat(auto-fit,minmax(200px,1fr))] gap-4 py-3 mb-8">
-                        {/* Joker */}
-                        <CardValueCard
-                            title="Joker"
-                            value={0}
-                            icon="sentiment_very_satisfied"
-                            iconColor="text-purple-500"
-                            description="Best card to minimize score"
-                        />
-
-                        {/* Red Kings */}
-                        <CardValueCard
-                            title="Red Kings ♥♦"
-                            value={-1}
-                            icon="favorite"
-                            iconColor="text-red-500"
-                            description="Extremely valuable"
-                        />
-
-                        {/* Ace */}
-                        <CardValueCard
-                            title="Ace"
-                            value={1}
-                            icon="filter_1"
-                            iconColor="text-blue-400"
-                            description="Low value, safe to keep"
-                        />
-
-                        {/* Number Cards */}
-                        <CardValueCard
-                            title="2-10"
-                            value="2-10"
-                            icon="123"
-                            iconColor="text-gray-400"
-                            description="Face value (2=2, 5=5, etc.)"
-                        />
-
-                        {/* Jack */}
-                        <CardValueCard
-                            title="Jack"
-                            value={11}
-                            icon="person"
-                            iconColor="text-orange-400"
-                            description="High value, has swap ability"
-                        />
-
-                        {/* Queen */}
-                        <CardValueCard
-                            title="Queen"
-                            value={12}
-                            icon="face"
-                            iconColor="text-pink-400"
-                            description="High value, has see & swap"
-                        />
-
-                        {/* Black Kings */}
-                        <CardValueCard
-                            title="Black Kings ♠♣"
-                            value={13}
-                            icon="skull"
-                            iconColor="text-gray-400"
-                            description="Worst card! Get rid of it"
-                        />
+                        {valueGroups.map(group => (
+                            <CardValueCard key={group.title} {...group} />
+                        ))}
                     </div>
 
                     {/* Section: Special Card Effects */}
@@ -127,42 +142,32 @@ const RulesModal = ({ isOpen, onClose }) => {
                     </h2>
 
                     <div className="flex flex-col gap-4 pb-8">
-                        {/* Queen & King */}
-                        <EffectCard
-                            cards={['Q', 'K']}
-                            title="See & Swap"
-                            description="Switch any two cards on the table, and look at both cards involved in the swap."
-                            icon="visibility"
-                            highlight="see both cards"
-                        />
-
-                        {/* Jack */}
-                        <EffectCard
-                            cards={['J']}
-                            title="Blind Swap"
-                            description="Switch any two cards on the table. You cannot look at the cards."
-                            icon="swap_horiz"
-                            highlight="cannot look"
-                            highlightColor="text-red-400"
-                        />
-
-                        {/* 9 & 10 */}
-                        <EffectCard
-                            cards={['9', '10']}
-                            title="Peek Enemy"
-                            description="Look at one of another player's cards."
-                            icon="group_search"
-                            highlight="another player's cards"
-                        />
+                        {effects.map(effect => (
+                            <EffectCard key={effect.title} {...effect} />
+                        ))}
+                    </div>
 
-                        {/* 7 & 8 */}
-                        <EffectCard
-                            cards={['7', '8']}
-                            title="Peek Self"
-                            description="Look at one of your own cards."
-                            icon="person_search"
-                            highlight="your own cards"
-                        />
+                    {/* When effects trigger (this table's policy) */}
+                    <div className="p-5 rounded-xl bg-white dark:bg-[#1c2127] border border-slate-200 dark:border-[#3b4754] mb-8">
+                        <div className="flex items-start gap-4">
+                            <span className="material-symbols-outlined text-primary text-3xl">bolt</span>
+                            <div>
+                                <h3 className="text-[#111418] dark:text-white text-lg font-bold mb-2">{trigger.title}</h3>
+                                <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed">
+                                    <Highlighted text={trigger.description} highlight={trigger.highlight} />
+                                </p>
+                                {rules.abilitiesFromDeckOnly && (
+                                    <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed mt-2">
+                                        A card taken from the discard pile <span className="text-red-400 font-bold">never gives its effect</span>.
+                                    </p>
+                                )}
+                                {rules.mustSwapDiscardDraw && (
+                                    <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed mt-2">
+                                        A card taken from the discard pile <span className="text-red-400 font-bold">must be swapped</span> into your hand.
+                                    </p>
+                                )}
+                            </div>
+                        </div>
                     </div>
 
                     {/* Section: Slap Match */}
@@ -177,8 +182,9 @@ const RulesModal = ({ isOpen, onClose }) => {
                                 <h3 className="text-[#111418] dark:text-white text-lg font-bold mb-2">Match the Discard</h3>
                                 <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed">
                                     If you have a card with the <span className="text-primary font-bold">same rank</span> as the top discard,
-                                    you can slap it at any time to remove it from your hand! But be careful - if you're wrong,
-                                    you get <span className="text-red-400 font-bold">+1 penalty card</span>.
+                                    you can slap it within <span className="text-primary font-bold">{snapSeconds} second{snapSeconds !== 1 && 's'}</span> of
+                                    the discard to remove it from your hand! But be careful - if you're wrong,
+                                    you get <span className="text-red-400 font-bold">+{rules.slapPenalty} penalty card{rules.slapPenalty !== 1 && 's'}</span>.
                                 </p>
                             </div>
                         </div>
@@ -186,7 +192,7 @@ const RulesModal = ({ isOpen, onClose }) => {
 
                     {/* Section: KABUL! */}
                     <h2 className="text-[#111418] dark:text-white text-[22px] font-bold leading-tight tracking-[-0.015em] pb-3 pt-5 border-b border-slate-200 dark:border-[#283039] mb-4">
-                        Calling KABUL!
+                        Calling {callWord}!
                     </h2>
 
                     <div className="p-5 rounded-xl bg-gradient-to-br from-primary/20 to-blue-600/20 border border-primary/30 mb-4">
@@ -196,10 +202,11 @@ const RulesModal = ({ isOpen, onClose }) => {
                                 <h3 className="text-[#111418] dark:text-white text-lg font-bold mb-2">End the Round</h3>
                                 <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed mb-3">
                                     When you think you have the <span className="text-primary font-bold">lowest score</span>,
-                                    call "KABUL!" at the start of your turn. All other players get one final turn, then scores are revealed.
+                                    call "{callWord}!" at the start of your turn. All other players get {finalTurns === 1 ? 'one final turn' : `${finalTurns} final turns`},
+                                    then scores are revealed.
                                 </p>
                                 <p className="text-yellow-400 text-sm font-bold">
-                                    ⚠️ Lowest score wins! Red Kings = -1, Joker = 0
+                                    ⚠️ Lowest score wins! {lowest}
                                 </p>
                             </div>
                         </div>
@@ -210,6 +217,45 @@ const RulesModal = ({ isOpen, onClose }) => {
     );
 };
 
+/**
+ * Point values of a RuleSet's cards, lowest first. Per-card overrides of the
+ * same rank and value share an entry, as do number cards worth their face value.
+ */
+const getValueGroups = (rules) => {
+    const groups = [];
+    const add = (title, value, rank, [icon, iconColor]) => {
+        const ability = ABILITY_EFFECTS[getCardAbility(rules, rank)];
+        const description = ability ? `Discard for ${ability.title}` : value <= 0 ? 'Best card to minimize score' : 'No ability';
+        groups.push({ title, value, icon, iconColor, description });
+    };
+
+    if ('Joker' in rules.values) add('Joker', rules.values.Joker, 'Joker', RANK_ICONS.Joker);
+
+    const overrides = {};
+    for (const [card, value] of Object.entries(rules.valueOverrides || {})) {
+        const rank = card.slice(0, -1);
+        const key = `${rank}/${value}`;
+        overrides[key] = overrides[key] || { rank, value, cards: [] };
+        overrides[key].cards.push(card);
+    }
+    for (const { rank, value, cards } of Object.values(overrides)) {
+        add(cards.join(' '), value, rank, OVERRIDE_ICON);
+    }
+
+    const faceValued = RANKS.filter(rank => /^\d+$/.test(rank) && rules.values[rank] === Number(rank));
+    for (const rank of RANKS) {
+        if (faceValued.includes(rank)) continue;
+        add(RANK_NAMES[rank] || rank, rules.values[rank], rank, RANK_ICONS[rank] || NUMBER_ICON);
+    }
+    if (faceValued.length > 0) {
+        const range = `${faceValued[0]}-${faceValued[faceValued.length - 1]}`;
+        groups.push({ title: range, value: range, icon: NUMBER_ICON[0], iconColor: NUMBER_ICON[1], description: 'Face value (2=2, 5=5, etc.)' });
+    }
+
+    // Number ranges sort by their lowest card
+    return groups.sort((a, b) => parseInt(a.value, 10) - parseInt(b.value, 10));
+};
+
 /**
  * Card Value Card - displays card point value
  */
@@ -252,12 +298,7 @@ const EffectCard = ({ cards, title, description, icon, highlight, highlightColor
         <div className="flex flex-col justify-center flex-1 gap-1">
             <h3 className="text-[#111418] dark:text-white text-lg font-bold">{title}</h3>
             <p className="text-[#637588] dark:text-[#9dabb9] text-sm leading-relaxed">
-                {description.split(highlight).map((part, idx, arr) => (
-                    <React.Fragment key={idx}>
-                        {part}
-                        {idx < arr.length - 1 && <span className={clsx(highlightColor, 'font-bold')}>{highlight}</span>}
-                    </React.Fragment>
-                ))}
+                <Highlighted text={description} highlight={highlight} highlightColor={highlightColor} />
             </p>
         </div>
         <div className="flex items-center justify-center md:justify-end">
@@ -266,4 +307,16 @@ const EffectCard = ({ cards, title, description, icon, highlight, highlightColor
     </div>
 );
 
+/**
+ * Text with every occurrence of `highlight` in bold
+ */
+const Highlighted = ({ text, highlight, highlightColor = 'text-primary' }) => (
+    text.split(highlight).map((part, idx, arr) => (
+        <React.Fragment key={idx}>
+            {part}
+            {idx < arr.length - 1 && <span className={clsx(highlightColor, 'font-bold')}>{highlight}</span>}
+        </React.Fragment>
+    ))
+);
+
 export default RulesModal;
@@ -1,5 +1,5 @@
 // Export all components
-export { default as Card, OpponentCard, DrawPile, DiscardPile } from './Card';
+export { default as Card, OpponentCard, EmptySlot, DrawPile, DiscardPile } from './Card';
 export { default as GameTable } from './GameTable';
 export { default as GameLobby } from './GameLobby';
 export { default as RulesModal } from './RulesModal';
@@ -1,26 +1,14 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { GameTable, RulesModal } from '../components';
 import { usePlayer } from '../App';
 import { getFirebaseService } from './LobbyPage';
-
-// Action types from FirebaseService
-const ACTION = {
-    DRAW_DECK: 'DRAW_DECK',
-    DRAW_DISCARD: 'DRAW_DISCARD',
-    SWAP_CARD: 'SWAP_CARD',
-    DISCARD_DRAWN: 'DISCARD_DRAWN',
-    SLAP_MATCH: 'SLAP_MATCH',
-    CALL_KABUL: 'CALL_KABUL',
-    SELECT_OWN_CARD: 'SELECT_OWN_CARD',
-    SELECT_ENEMY_CARD: 'SELECT_ENEMY_CARD',
-    SELECT_TARGET_PLAYER: 'SELECT_TARGET_PLAYER',
-    CONFIRM_SWAP: 'CONFIRM_SWAP',
-    SKIP_ABILITY: 'SKIP_ABILITY',
-};
+import { ACTION } from '../FirebaseService';
+import { BOT_DIFFICULTY } from '../Bot';
 
 const GameRoomPage = () => {
     const { roomId } = useParams();
+    const [searchParams] = useSearchParams();
     const navigate = useNavigate();
     const { player } = usePlayer();
 
@@ -29,12 +17,20 @@ const GameRoomPage = () => {
     const [players, setPlayers] = useState({});
     const [myHand, setMyHand] = useState([]);
     const [myPrivate, setMyPrivate] = useState({});
+    const [ruleSet, setRuleSet] = useState(null);
 
     // UI state
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showRules, setShowRules] = useState(false);
     const [voiceActive, setVoiceActive] = useState(false);
+    const [shuffleSeats, setShuffleSeats] = useState(false);
+    const [botDifficulty, setBotDifficulty] = useState(BOT_DIFFICULTY.NORMAL);
+    const [directorMode, setDirectorMode] = useState(false);
+
+    // Spectators (?spectate=1) watch without a seat; `director` reveals hands late
+    const isSpectator = searchParams.get('spectate') === '1';
+    const [director, setDirector] = useState(null);
 
     // Refs
     const firebase = useRef(getFirebaseService()).current;
@@ -48,11 +44,24 @@ const GameRoomPage = () => {
         setLoading(true);
 
         try {
+            if (isSpectator) {
+                firebase.listenAsSpectator(roomId, (data) => {
+                    setGameState(data.gameState);
+                    setPlayers(data.players);
+                    setRuleSet(data.ruleSet);
+                    setDirector(data.director);
+                    setLoading(false);
+                    setError(null);
+                });
+                return () => firebase.stopListening(roomId);
+            }
+
             firebase.listenToRoom(roomId, player.id, (data) => {
                 setGameState(data.gameState);
                 setPlayers(data.players);
                 setMyHand(data.myHand);
                 setMyPrivate(data.myPrivate);
+                setRuleSet(data.ruleSet);
                 setLoading(false);
                 setError(null);
             });
@@ -66,43 +75,14 @@ const GameRoomPage = () => {
         return () => {
             firebase.stopListening(roomId);
         };
-    }, [roomId, player.id]);
-
-    // ==================== SEAT ROTATION ====================
-
-    /**
-     * Rotate players so current player is always at bottom.
-     * Returns positioned players for UI slots: { top, left, right }
-     */
-    const getRotatedPlayers = useCallback(() => {
-        const playerIds = Object.keys(players);
-        const others = playerIds.filter(id => id !== player.id);
-
-        const positions = { top: null, left: null, right: null };
-
-        if (others.length === 1) {
-            // 2 players: opponent at top
-            positions.top = others[0];
-        } else if (others.length === 2) {
-            // 3 players: left and right
-            positions.left = others[0];
-            positions.right = others[1];
-        } else if (others.length >= 3) {
-            // 4 players: left, top, right
-            positions.left = others[0];
-            positions.top = others[1];
-            positions.right = others[2];
-        }
-
-        return positions;
-    }, [players, player.id]);
+    }, [roomId, player.id, isSpectator]);
 
     // ==================== ACTION HANDLER ====================
 
     const handleAction = useCallback(async (actionType, payload = {}) => {
         try {
             console.log(`[Action] ${actionType}`, payload);
-            await firebase.performAction(roomId, player.id, actionType, payload);
+            return await firebase.performAction(roomId, player.id, actionType, payload);
         } catch (err) {
             console.error(`Action ${actionType} failed:`, err);
             // Show error feedback
@@ -110,55 +90,39 @@ const GameRoomPage = () => {
         }
     }, [roomId, player.id, firebase]);
 
+    // Play one of myPrivate.legalActions as is
+    const handlePlay = useCallback(async (action) => {
+        try {
+            console.log(`[Action] ${action.type}`, action);
+            return await firebase.dispatchAction(roomId, action);
+        } catch (err) {
+            console.error(`Action ${action.type} failed:`, err);
+            alert(`Action failed: ${err.message}`);
+        }
+    }, [roomId, firebase]);
+
     // ==================== UI EVENT HANDLERS ====================
 
-    const handleDrawDeck = () => handleAction(ACTION.DRAW_DECK);
-    const handleDrawDiscard = () => handleAction(ACTION.DRAW_DISCARD);
     const handleDiscardDrawn = () => handleAction(ACTION.DISCARD_DRAWN);
-    const handleCallKabul = () => handleAction(ACTION.CALL_KABUL);
     const handleSkipAbility = () => handleAction(ACTION.SKIP_ABILITY);
 
-    const handleSwapCard = (handIndex) => {
-        handleAction(ACTION.SWAP_CARD, { handIndex });
-    };
-
-    const handleSlap = (handIndex) => {
-        handleAction(ACTION.SLAP_MATCH, { handIndex });
-    };
-
-    const handleSelectOwnCard = (handIndex) => {
-        const abilityType = gameState?.abilityState?.type;
-
-        if (abilityType === 'BLIND_SWAP' || abilityType === 'SEE_AND_SWAP') {
-            // Multi-step: Own card selection for swap
-            handleAction(ACTION.SELECT_OWN_CARD, { handIndex });
-        } else {
-            // PEEK_SELF
-            handleAction(ACTION.SELECT_OWN_CARD, { handIndex });
+    // Someone else snapped first (or the window closed): no penalty
+    const alertIfTooSlow = (result) => {
+        if (result?.events.some(e => e.type === 'SLAP_TOO_SLOW')) {
+            alert('Too slow!');
         }
     };
 
-    const handleSelectEnemyCard = (targetPlayerId, handIndex) => {
-        const abilityType = gameState?.abilityState?.type;
-
-        if (abilityType === 'PEEK_ENEMY') {
-            handleAction(ACTION.SELECT_ENEMY_CARD, { targetPlayerId, handIndex });
-        } else {
-            // BLIND_SWAP or SEE_AND_SWAP - selecting target
-            handleAction(ACTION.SELECT_ENEMY_CARD, { targetPlayerId, handIndex });
-        }
+    const handleSlap = async (handIndex) => {
+        alertIfTooSlow(await handleAction(ACTION.SLAP_MATCH, { handIndex }));
     };
 
-    const handleConfirmSwap = () => {
-        const ability = gameState?.abilityState;
-        if (ability) {
-            handleAction(ACTION.CONFIRM_SWAP, {
-                ownIndex: ability.ownCardIndex,
-                targetIndex: ability.targetCardIndex,
-            });
-        }
+    const handleSnapOpponent = async (targetPlayerId, handIndex) => {
+        alertIfTooSlow(await handleAction(ACTION.SNAP_OPPONENT, { targetPlayerId, handIndex }));
     };
 
+    const handleConfirmSwap = () => handleAction(ACTION.CONFIRM_SWAP);
+
     // ==================== VOICE RECOGNITION ====================
 
     useEffect(() => {
@@ -265,29 +229,128 @@ const GameRoomPage = () => {
 
     // Waiting for game to start
     if (gameState?.phase === 'WAITING') {
-        const playerList = Object.values(players);
+        const seating = Object.keys(players)
+            .sort((a, b) => (players[a].seat ?? 0) - (players[b].seat ?? 0));
+        const playerList = seating.map(id => ({ id, ...players[id] }));
+        const isHost = players[player.id]?.isHost;
+        const { minPlayers, maxPlayers } = ruleSet?.table || { minPlayers: 2, maxPlayers: 8 };
+
+        // Swap a player with the next/previous seat
+        const moveSeat = (index, delta) => {
+            const target = index + delta;
+            if (target < 0 || target >= seating.length) return;
+            const next = [...seating];
+            [next[index], next[target]] = [next[target], next[index]];
+            firebase.setSeating(roomId, next).catch(err => alert(err.message));
+        };
+
+        const addBot = () => {
+            const botId = `bot-${Math.random().toString(36).slice(2, 8)}`;
+            const label = botDifficulty.charAt(0) + botDifficulty.slice(1).toLowerCase();
+            firebase.joinRoom(roomId, botId, `Bot ${playerList.length + 1} (${label})`, {
+                isBot: true,
+                difficulty: botDifficulty,
+            }).catch(err => alert(err.message));
+        };
+
         return (
             <div className="flex-1 flex items-center justify-center p-4">
                 <div className="bg-surface-light dark:bg-[#1c2630] rounded-2xl p-8 max-w-md w-full text-center border border-[#283039]">
                     <span className="material-symbols-outlined text-primary text-5xl mb-4">group</span>
                     <h2 className="text-2xl font-bold text-white mb-2">Waiting for Players</h2>
-                    <p className="text-white/60 mb-6">{playerList.length}/4 players joined</p>
+                    <p className="text-white/60 mb-2">{playerList.length}/{maxPlayers} players joined</p>
+                    {ruleSet && (
+                        <p className="text-white/40 text-sm mb-6">Rules: {ruleSet.name}</p>
+                    )}
 
-                    <div className="flex flex-wrap justify-center gap-3 mb-6">
-                        {playerList.map((p) => (
+                    {/* Seating order: the first seat deals, the next one starts */}
+                    <div className="flex flex-col gap-2 mb-4">
+                        {playerList.map((p, idx) => (
                             <div
-                                key={p.id || p.name}
+                                key={p.id}
                                 className="bg-[#283039] px-4 py-2 rounded-full text-white text-sm font-medium flex items-center gap-2"
                             >
-                                <span className="w-2 h-2 rounded-full bg-green-500"></span>
-                                {p.name}
+                                <span className="text-white/40 text-xs w-4">{idx + 1}</span>
+                                {p.isBot
+                                    ? <span className="material-symbols-outlined text-base text-white/60">smart_toy</span>
+                                    : <span className="w-2 h-2 rounded-full bg-green-500"></span>}
+                                <span className="flex-1 text-left">
+                                    {p.name}{idx === 0 && ' (Dealer)'}
+                                </span>
+                                {isHost && (
+                                    <>
+                                        <button onClick={() => moveSeat(idx, -1)} disabled={idx === 0} className="text-white/60 hover:text-white disabled:opacity-20">
+                                            <span className="material-symbols-outlined text-base">arrow_upward</span>
+                                        </button>
+                                        <button onClick={() => moveSeat(idx, 1)} disabled={idx === playerList.length - 1} className="text-white/60 hover:text-white disabled:opacity-20">
+                                            <span className="material-symbols-outlined text-base">arrow_downward</span>
+                                        </button>
+                                        {p.isBot && (
+                                            <button onClick={() => firebase.leaveRoom(roomId, p.id).catch(err => alert(err.message))} className="text-white/60 hover:text-white">
+                                                <span className="material-symbols-outlined text-base">close</span>
+                                            </button>
+                                        )}
+                                    </>
+                                )}
                             </div>
                         ))}
                     </div>
 
-                    {playerList.length >= 2 && (
+                    {isHost && playerList.length < maxPlayers && (
+                        <div className="flex items-center justify-center gap-2 mb-4">
+                            <select
+                                value={botDifficulty}
+                                onChange={(e) => setBotDifficulty(e.target.value)}
+                                className="bg-[#283039] text-white text-sm rounded-lg px-2 py-1"
+                            >
+                                {Object.values(BOT_DIFFICULTY).map(level => (
+                                    <option key={level} value={level}>{level.charAt(0) + level.slice(1).toLowerCase()}</option>
+                                ))}
+                            </select>
+                            <button onClick={addBot} className="bg-[#283039] hover:bg-[#3b4754] text-white text-sm font-medium px-3 py-1 rounded-lg">
+                                Add bot
+                            </button>
+                        </div>
+                    )}
+
+                    {isHost && (
+                        <label className="flex items-center justify-center gap-2 text-white/60 text-sm mb-6">
+                            <input
+                                type="checkbox"
+                                checked={shuffleSeats}
+                                onChange={(e) => setShuffleSeats(e.target.checked)}
+                            />
+                            Random seats
+                        </label>
+                    )}
+
+                    {isHost && (
+                        <label className="flex items-center justify-center gap-2 text-white/60 text-sm mb-6">
+                            <input
+                                type="checkbox"
+                                checked={directorMode}
+                                onChange={(e) => {
+                                    const enabled = e.target.checked;
+                                    setDirectorMode(enabled);
+                                    firebase.setDirectorMode(roomId, { enabled }).catch((err) => {
+                                        setDirectorMode(!enabled);
+                                        alert(err.message);
+                                    });
+                                }}
+                            />
+                            Show hands to spectators (30s delay)
+                        </label>
+                    )}
+
+                    {!isHost && !isSpectator && (
+                        <p className="text-white/60 text-sm">Waiting for the host to start the game...</p>
+                    )}
+
+                    {playerList.length >= minPlayers && isHost && (
                         <button
-                            onClick={() => firebase.startGame(roomId)}
+                            // ?seed=... replays a known deal (debugging, daily challenges)
+                            onClick={() => firebase.startGame(roomId, searchParams.get('seed') || undefined, { shuffleSeats })
+                                .catch(err => alert(err.message))}
                             className="bg-primary hover:bg-blue-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg"
                         >
                             Start Game
@@ -298,42 +361,104 @@ const GameRoomPage = () => {
         );
     }
 
-    // Game ended
+    // Round ended (and possibly the whole match)
     if (gameState?.phase === 'ENDED') {
-        const winner = players[gameState.winner];
-        const sortedPlayers = Object.entries(players)
-            .map(([id, p]) => ({ id, ...p }))
-            .sort((a, b) => (a.finalScore || 0) - (b.finalScore || 0));
+        const winnerNames = (gameState.winners || []).map(id => players[id]?.name || 'Unknown');
+        const matchWinner = players[gameState.matchWinner];
+        // Lowest hand first, ties already split (or shared) by the ruleset's tiebreak
+        const roundResults = (gameState.rankings || [])
+            .map(({ playerId, position, shared }) => ({ id: playerId, position, shared, ...players[playerId] }));
+        const standings = gameState.standings || [];
+        const isHost = players[player.id]?.isHost;
 
         return (
             <div className="flex-1 flex items-center justify-center p-4">
                 <div className="bg-surface-light dark:bg-[#1c2630] rounded-2xl p-8 max-w-md w-full text-center border border-[#283039]">
                     <span className="material-symbols-outlined text-yellow-400 text-5xl mb-4">emoji_events</span>
-                    <h2 className="text-2xl font-bold text-white mb-2">Game Over!</h2>
-                    <p className="text-primary text-xl font-bold mb-6">{winner?.name || 'Unknown'} Wins!</p>
+                    {gameState.matchOver ? (
+                        <>
+                            <h2 className="text-2xl font-bold text-white mb-2">Match Over!</h2>
+                            <p className="text-primary text-xl font-bold mb-6">{matchWinner?.name || 'Unknown'} Wins the Match!</p>
+                        </>
+                    ) : (
+                        <>
+                            <h2 className="text-2xl font-bold text-white mb-2">Round {gameState.round} Over!</h2>
+                            <p className="text-primary text-xl font-bold mb-6">
+                                {winnerNames.length > 1
+                                    ? `${winnerNames.join(' & ')} Share the Round!`
+                                    : `${winnerNames[0] || 'Unknown'} Wins the Round!`}
+                            </p>
+                        </>
+                    )}
 
                     <div className="space-y-2 mb-6">
-                        {sortedPlayers.map((p, idx) => (
+                        {roundResults.map((p) => (
                             <div
                                 key={p.id}
-                                className={`flex items-center justify-between p-3 rounded-lg ${idx === 0 ? 'bg-yellow-500/20 border border-yellow-500/30' : 'bg-[#283039]'
+                                className={`flex items-center justify-between p-3 rounded-lg ${p.position === 1 ? 'bg-yellow-500/20 border border-yellow-500/30' : 'bg-[#283039]'
                                     }`}
                             >
                                 <div className="flex items-center gap-3">
-                                    <span className="text-white/60 text-sm">#{idx + 1}</span>
+                                    <span className="text-white/60 text-sm">#{p.position}{p.shared && ' (tie)'}</span>
                                     <span className="text-white font-medium">{p.name}</span>
                                 </div>
-                                <span className="text-primary font-bold">{p.finalScore ?? '?'} pts</span>
+                                <div className="text-right">
+                                    <span className="text-primary font-bold">{p.finalScore} pts</span>
+                                    {p.scoreAdjustment && (
+                                        <p className="text-white/40 text-xs">
+                                            {p.handValue} in hand, {p.scoreAdjustment.points > 0 ? '+' : ''}{p.scoreAdjustment.points}{' '}
+                                            {p.scoreAdjustment.reason === 'FAILED_CALL' ? `failed ${ruleSet?.kabul.callWord || 'KABUL'}` : `winning ${ruleSet?.kabul.callWord || 'KABUL'}`}
+                                        </p>
+                                    )}
+                                </div>
                             </div>
                         ))}
                     </div>
 
-                    <button
-                        onClick={() => navigate('/')}
-                        className="bg-primary hover:bg-blue-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg"
-                    >
-                        Back to Lobby
-                    </button>
+                    {standings.length > 0 && (
+                        <div className="mb-6">
+                            <h3 className="text-white/60 text-xs font-bold uppercase tracking-wider mb-2">Standings</h3>
+                            <div className="space-y-1">
+                                {standings.map((s) => (
+                                    <div
+                                        key={s.playerId}
+                                        className={`flex items-center justify-between px-3 py-2 rounded-lg bg-[#283039] ${s.eliminated ? 'opacity-50' : ''}`}
+                                    >
+                                        <div className="flex items-center gap-3">
+                                            <span className="text-white/60 text-sm">#{s.rank}</span>
+                                            <span className={`text-white text-sm ${s.eliminated ? 'line-through' : ''}`}>{s.name}</span>
+                                        </div>
+                                        <span className="text-white font-bold text-sm">{s.score}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {gameState.seed && (
+                        <p className="text-white/30 text-xs mb-4">Seed: {gameState.seed}</p>
+                    )}
+
+                    {!gameState.matchOver && !isSpectator && !isHost && (
+                        <p className="text-white/60 text-sm mb-4">Waiting for the host to deal the next round...</p>
+                    )}
+
+                    <div className="flex justify-center gap-3">
+                        {!gameState.matchOver && isHost && (
+                            <button
+                                onClick={() => firebase.startNextRound(roomId).catch(err => alert(err.message))}
+                                className="bg-primary hover:bg-blue-600 text-white font-bold py-3 px-8 rounded-xl shadow-lg"
+                            >
+                                Next Round
+                            </button>
+                        )}
+                        <button
+                            onClick={() => navigate('/')}
+                            className="bg-[#283039] hover:bg-[#3b4754] text-white font-bold py-3 px-8 rounded-xl shadow-lg"
+                        >
+                            Back to Lobby
+                        </button>
+                    </div>
                 </div>
             </div>
         );
@@ -348,17 +473,16 @@ const GameRoomPage = () => {
                 players={players}
                 myHand={myHand}
                 myPrivate={myPrivate}
-                onDrawDeck={handleDrawDeck}
-                onDrawDiscard={handleDrawDiscard}
-                onSwapCard={handleSwapCard}
+                onAction={handlePlay}
                 onDiscardDrawn={handleDiscardDrawn}
                 onSlap={handleSlap}
-                onCallKabul={handleCallKabul}
-                onSelectOwnCard={handleSelectOwnCard}
-                onSelectEnemyCard={handleSelectEnemyCard}
+                onSnapOpponent={ruleSet?.opponentSnap ? handleSnapOpponent : undefined}
                 onConfirmSwap={handleConfirmSwap}
                 onSkipAbility={handleSkipAbility}
                 onOpenRules={() => setShowRules(true)}
+                ruleSet={ruleSet}
+                isSpectator={isSpectator}
+                revealedHands={director?.hands}
             />
 
             {/* Voice indicator */}
@@ -372,6 +496,7 @@ const GameRoomPage = () => {
             <RulesModal
                 isOpen={showRules}
                 onClose={() => setShowRules(false)}
+                ruleSet={ruleSet}
             />
         </>
     );
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { GameLobby, RulesModal } from '../components';
 import { usePlayer } from '../App';
 import FirebaseService from '../FirebaseService';
+import { RULESETS, DEFAULT_RULESET_ID } from '../RuleSet';
 
 import { initializeApp, getApps, getApp } from "firebase/app";
 import { getAnalytics } from "firebase/analytics";
@@ -73,7 +74,13 @@ const LobbyPage = () => {
             const roomName = prompt('Enter room name:', `${player.name}'s Game`);
             if (!roomName) return;
 
-            const result = await firebase.createRoom(roomName, player.id, player.name);
+            const ruleSetId = prompt(
+                `Rules (${Object.keys(RULESETS).join(', ')}):`,
+                DEFAULT_RULESET_ID
+            );
+            if (!ruleSetId) return;
+
+            const result = await firebase.createRoom(roomName, player.id, player.name, ruleSetId.trim().toUpperCase());
             if (result.roomId) {
                 navigate(`/room/${result.roomId}`);
             }
@@ -94,6 +101,17 @@ const LobbyPage = () => {
         }
     };
 
+    // Watch a full or running room
+    const handleSpectateRoom = async (roomId) => {
+        try {
+            await firebase.joinAsSpectator(roomId, player.id, player.name);
+            navigate(`/room/${roomId}?spectate=1`);
+        } catch (err) {
+            console.error('Failed to spectate room:', err);
+            alert('Failed to spectate room: ' + err.message);
+        }
+    };
+
     // Select room for preview
     const handleSelectRoom = (roomId) => {
         setSelectedRoomId(roomId);
@@ -135,6 +153,7 @@ const LobbyPage = () => {
                 selectedRoomId={selectedRoomId}
                 onSelectRoom={handleSelectRoom}
                 onJoinRoom={handleJoinRoom}
+                onSpectateRoom={handleSpectateRoom}
                 onCreateRoom={handleCreateRoom}
                 onOpenRules={() => setShowRules(true)}
             />
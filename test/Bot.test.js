@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KabulGame } from '../src/KabulGame.js';
+import { VirtualClock } from '../src/Clock.js';
+import { ACTION_TYPES } from '../src/GameReducer.js';
+import { chooseBotAction } from '../src/Bot.js';
+
+function playUntil(game, clock, done) {
+    for (let steps = 0; !done() && steps < 10000 && clock.runNext(); steps++);
+}
+
+test('an eliminated bot stays quiet while the others memorize', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const clock = new VirtualClock();
+    const game = new KabulGame('match', 'CURRENT_APP', { clock });
+    for (const id of ['b1', 'b2', 'b3']) game.addPlayer(id, id, { isBot: true });
+    game.startGame('seed');
+    playUntil(game, clock, () => game.state.phase === 'ENDED');
+    assert.equal(game.state.phase, 'ENDED');
+
+    // Knock b3 out before dealing the next round
+    game.state.players.b3.eliminated = true;
+    game.nextRound();
+    assert.equal(game.state.phase, 'MEMORIZE');
+    assert.ok(!game.state.turnOrder.includes('b3'));
+    assert.equal(chooseBotAction(game.state, 'b3', { now: clock.now() }), null);
+
+    playUntil(game, clock, () => game.state.phase !== 'MEMORIZE');
+    assert.equal(game.state.phase, 'PLAYING');
+    assert.deepEqual(game.state.ready, []);
+    assert.equal(errors.mock.callCount(), 0);
+});
+
+test('bots confirm they are ready while memorizing', () => {
+    const game = new KabulGame('memorize', 'CURRENT_APP', { clock: new VirtualClock() });
+    game.addPlayer('b1', 'b1', { isBot: true });
+    game.addPlayer('p1', 'p1');
+    game.startGame('seed');
+    assert.deepEqual(chooseBotAction(game.state, 'b1', { now: 0 }), { type: ACTION_TYPES.READY, playerId: 'b1' });
+});
@@ -0,0 +1,571 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ACTION_TYPES, ACTION_STATES, applyAction, createInitialState, getCurrentPlayerId, getLegalActions, getNextTickAt, normalizeState } from '../src/GameReducer.js';
+import { createCard } from '../src/RuleSet.js';
+
+function dispatch(state, action) {
+    return applyAction(state, action).state;
+}
+
+/**
+ * A two-player round past the memorize phase.
+ */
+function startRound(ruleSet) {
+    let state = createInitialState('test', ruleSet);
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'a', name: 'A' });
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'b', name: 'B' });
+    state = dispatch(state, { type: ACTION_TYPES.START_GAME, seed: 'seed' });
+    return dispatch(state, { type: ACTION_TYPES.END_MEMORIZE });
+}
+
+function startRoundWith(ruleSet, playerIds) {
+    let state = createInitialState('test', ruleSet);
+    for (const playerId of playerIds) {
+        state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId, name: playerId });
+    }
+    state = dispatch(state, { type: ACTION_TYPES.START_GAME, seed: 'seed' });
+    return dispatch(state, { type: ACTION_TYPES.END_MEMORIZE });
+}
+
+function setHand(state, playerId, ranks) {
+    state.players[playerId].hand = ranks.map((rank, i) => ({ ...createCard(state.ruleSet, rank, '♠', 9 + i), position: i }));
+}
+
+/**
+ * Everyone draws from the deck and discards it until the round is over.
+ */
+function finishRound(state) {
+    while (state.phase !== 'ENDED') {
+        const playerId = getCurrentPlayerId(state);
+        state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+        if (state.phase === 'ENDED') break;
+        state = dispatch(state, { type: ACTION_TYPES.DISCARD, playerId });
+        if (state.pendingAction) {
+            state = dispatch(state, { type: ACTION_TYPES.SKIP_ABILITY, playerId });
+        }
+    }
+    return state;
+}
+
+function setTopDiscard(state, rank, suit) {
+    const card = createCard(state.ruleSet, rank, suit, 9);
+    state.discardPile.push(card);
+    state.topDiscard = card;
+    return card;
+}
+
+// ==================== DEALING ====================
+
+test('classic rules let players memorize their bottom row', () => {
+    const state = startRound('KABUL_CLASSIC');
+    const statuses = state.knowledge.a.a.map(entry => entry.status);
+    assert.deepEqual(statuses, ['UNKNOWN', 'UNKNOWN', 'KNOWN', 'KNOWN']);
+});
+
+test('a seed reproduces every deal of the match', () => {
+    const deal = (seed) => {
+        let state = createInitialState('test', 'CURRENT_APP');
+        state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'a', name: 'A' });
+        state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'b', name: 'B' });
+        state = dispatch(state, { type: ACTION_TYPES.START_GAME, seed, shuffleSeats: true });
+        const first = { seating: state.seating, hands: state.players, deck: state.deck, topDiscard: state.topDiscard };
+        state = dispatch(state, { type: ACTION_TYPES.END_MEMORIZE });
+        state = dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: getCurrentPlayerId(state) });
+        state = dispatch(finishRound(state), { type: ACTION_TYPES.NEXT_ROUND });
+        return { first, second: state.players };
+    };
+    const dealt = deal('seed');
+    assert.deepEqual(deal('seed'), dealt);
+    assert.notDeepEqual(deal('other').first.deck, dealt.first.deck);
+    assert.notDeepEqual(dealt.second.a.hand, dealt.first.hands.a.hand);
+});
+
+test('a big table is dealt from several decks without repeating a card id', () => {
+    const state = startRoundWith('CURRENT_APP', ['a', 'b', 'c', 'd', 'e']);
+    const cards = [
+        ...state.deck,
+        ...state.discardPile,
+        ...Object.values(state.players).flatMap(player => player.hand),
+    ];
+
+    assert.equal(state.decks, 2);
+    assert.equal(cards.length, 2 * 54);
+    assert.equal(new Set(cards.map(card => card.id)).size, cards.length);
+});
+
+// ==================== DRAWING FROM THE DISCARD ====================
+
+test('a card taken from the discard pile cannot be discarded when it must be swapped', () => {
+    let state = startRound({ id: 'KABUL_CLASSIC', mustSwapDiscardDraw: true });
+    const playerId = getCurrentPlayerId(state);
+    setTopDiscard(state, '7', '♠');
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'discard' });
+
+    assert.throws(
+        () => dispatch(state, { type: ACTION_TYPES.DISCARD, playerId }),
+        /must be swapped/,
+    );
+});
+
+test('a card taken from the discard pile gives no ability when abilities come from the deck only', () => {
+    // Even when swapping in the drawn card would otherwise use its ability
+    let state = startRound({ id: 'KABUL_CLASSIC', abilityTrigger: 'DRAWN_CARD', abilitiesFromDeckOnly: true });
+    const playerId = getCurrentPlayerId(state);
+    setTopDiscard(state, '7', '♠');
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'discard' });
+    state = dispatch(state, { type: ACTION_TYPES.SWAP, playerId, handIndex: 0 });
+
+    assert.equal(state.pendingAction, null);
+    assert.notEqual(getCurrentPlayerId(state), playerId);
+});
+
+test('the same card drawn from the deck does use its ability', () => {
+    let state = startRound({ id: 'KABUL_CLASSIC', abilityTrigger: 'DRAWN_CARD', abilitiesFromDeckOnly: true });
+    const playerId = getCurrentPlayerId(state);
+    state.deck.unshift(createCard(state.ruleSet, '7', '♠', 9));
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+    state = dispatch(state, { type: ACTION_TYPES.SWAP, playerId, handIndex: 0 });
+
+    assert.equal(state.pendingAction?.type, ACTION_STATES.CHOOSING_ENEMY_CARD_TO_PEEK);
+});
+
+// ==================== ABILITY TRIGGER ====================
+
+test('a hand card swapped out for a discard draw still uses its ability', () => {
+    let state = startRound({ id: 'CURRENT_APP', abilityTrigger: 'ANY_DISCARD', abilitiesFromDeckOnly: true });
+    const playerId = getCurrentPlayerId(state);
+    state.players[playerId].hand[0] = createCard(state.ruleSet, '7', '♠', 9);
+    setTopDiscard(state, '2', '♠');
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'discard' });
+    state = dispatch(state, { type: ACTION_TYPES.SWAP, playerId, handIndex: 0 });
+
+    assert.equal(state.pendingAction?.type, ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK);
+});
+
+// ==================== SNAP WINDOW ====================
+
+test('a discard taken from the pile can no longer be slapped', () => {
+    let state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    const otherId = state.turnOrder.find(id => id !== playerId);
+    setHand(state, otherId, ['5', '6', '6', '6']);
+    setHand(state, playerId, ['6', '6', '6', '6']);
+    state.deck.unshift(createCard(state.ruleSet, '5', '♥', 9));
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck', at: 0 });
+    state = dispatch(state, { type: ACTION_TYPES.DISCARD, playerId, at: 0 });
+
+    // The next player takes the 5 while its snap window is still open
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId: otherId, source: 'discard', at: 1 });
+
+    assert.equal(state.snapWindow, null);
+    assert.throws(
+        () => dispatch(state, { type: ACTION_TYPES.SLAP, playerId: otherId, handIndex: 0, at: 2 }),
+        /Nothing to snap/,
+    );
+});
+
+// ==================== SNAPPING AN OPPONENT ====================
+
+/**
+ * The player on turn discards a 2 and snaps the opponent's matching 2.
+ */
+function snapOpponent() {
+    let state = startRound({ id: 'CURRENT_APP', opponentSnap: true });
+    const playerId = getCurrentPlayerId(state);
+    const targetId = state.turnOrder.find(id => id !== playerId);
+    setHand(state, targetId, ['2', '5', '5', '5']);
+    state.deck.unshift(createCard(state.ruleSet, '2', '♥', 9));
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck', at: 0 });
+    state = dispatch(state, { type: ACTION_TYPES.DISCARD, playerId, at: 0 });
+    state = dispatch(state, { type: ACTION_TYPES.SNAP_OPPONENT, playerId, targetId, handIndex: 0, at: 0 });
+    return { state, playerId, targetId };
+}
+
+test('a card can only be given while the round is being played', () => {
+    const { state, playerId } = snapOpponent();
+    state.phase = 'ENDED';
+
+    assert.throws(
+        () => dispatch(state, { type: ACTION_TYPES.GIVE_CARD, playerId, handIndex: 0 }),
+        /not in playing phase/,
+    );
+});
+
+test('nobody waiting on a given card can call Kabul', () => {
+    const { state, playerId, targetId } = snapOpponent();
+    assert.equal(getCurrentPlayerId(state), targetId);
+
+    assert.throws(
+        () => dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: targetId, at: 0 }),
+        /given first/,
+    );
+    assert.ok(!getLegalActions(state, targetId, 0).some(action => action.type === ACTION_TYPES.CALL_KABUL));
+
+    const given = dispatch(state, { type: ACTION_TYPES.GIVE_CARD, playerId, handIndex: 1, at: 0 });
+    assert.ok(getLegalActions(given, targetId, 0).some(action => action.type === ACTION_TYPES.CALL_KABUL));
+    assert.equal(dispatch(given, { type: ACTION_TYPES.CALL_KABUL, playerId: targetId, at: 0 }).kabulCaller, targetId);
+});
+
+test('a snapper who does not give in time gives a random card', () => {
+    const { state, playerId, targetId } = snapOpponent();
+    const { expiresAt } = state.pendingGive;
+    assert.equal(getNextTickAt(state), expiresAt);
+
+    const { state: next, events } = applyAction(state, { type: ACTION_TYPES.TICK, at: expiresAt });
+
+    assert.equal(next.pendingGive, null);
+    assert.ok(next.players[targetId].hand[0]);
+    assert.equal(next.players[playerId].hand.filter(Boolean).length, 3);
+    assert.ok(events.some(event => event.type === 'GIVE_TIMED_OUT'));
+});
+
+// ==================== EMPTY SLOTS ====================
+
+/**
+ * The player on turn discards a 5, opening a snap window for the other player.
+ */
+function discardFive(otherRanks) {
+    let state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    const otherId = state.turnOrder.find(id => id !== playerId);
+    setHand(state, otherId, otherRanks);
+    state.deck.unshift(createCard(state.ruleSet, '5', '♥', 9));
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck', at: 0 });
+    state = dispatch(state, { type: ACTION_TYPES.DISCARD, playerId, at: 0 });
+    return { state, otherId };
+}
+
+test('a slapped card leaves its slot empty and the other cards in place', () => {
+    const { state, otherId } = discardFive(['2', '5', '3', '4']);
+    const hand = state.players[otherId].hand;
+
+    const next = dispatch(state, { type: ACTION_TYPES.SLAP, playerId: otherId, handIndex: 1, at: 0 });
+
+    assert.deepEqual(next.players[otherId].hand.map(card => card?.id ?? null), [hand[0].id, null, hand[2].id, hand[3].id]);
+    assert.equal(next.knowledge[otherId][otherId].length, 4);
+    assert.ok(getLegalActions(next, otherId).every(action => action.handIndex !== 1));
+});
+
+test('a penalty card fills the first empty slot before adding a new one', () => {
+    const { state, otherId } = discardFive(['2', '3', '3', '4']);
+    state.players[otherId].hand[1] = null;
+    const [penalty] = state.deck;
+
+    const next = dispatch(state, { type: ACTION_TYPES.SLAP, playerId: otherId, handIndex: 0, at: 0 });
+
+    const hand = next.players[otherId].hand;
+    assert.equal(hand.length, 4);
+    assert.equal(hand[1].id, penalty.id);
+    assert.equal(hand[1].position, 1);
+});
+
+test('empty slots survive a store that drops nulls', () => {
+    const { state, otherId } = discardFive(['2', '3', '5', '5']);
+    const next = dispatch(state, { type: ACTION_TYPES.SLAP, playerId: otherId, handIndex: 3, at: 0 });
+    const hand = next.players[otherId].hand;
+    hand[1] = null;
+
+    // Firebase keeps arrays with holes as objects, and drops trailing nulls
+    const stored = JSON.parse(JSON.stringify(next));
+    stored.players[otherId].hand = { 0: hand[0], 2: hand[2] };
+    const restored = normalizeState(stored).players[otherId].hand;
+
+    assert.deepEqual(restored.map(card => card?.id ?? null), [hand[0].id, null, hand[2].id, null]);
+});
+
+// ==================== TIMEOUTS ====================
+
+test('a late move is charged to the time bank', () => {
+    const state = startRound({ id: 'CURRENT_APP', timers: { turn: 30000, bank: 10000 } });
+    const playerId = getCurrentPlayerId(state);
+    assert.equal(state.turnDeadline, 30000);
+    assert.equal(getNextTickAt(state), 40000);
+
+    const next = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck', at: 34000 });
+
+    assert.equal(next.players[playerId].timeBank, 6000);
+    assert.equal(next.turnDeadline, 64000);
+    assert.equal(getNextTickAt(next), 70000);
+});
+
+test('TIMEOUT waits for the deadline plus the time bank', () => {
+    const state = startRound({ id: 'CURRENT_APP', timers: { turn: 30000, bank: 10000 } });
+    assert.throws(
+        () => dispatch(state, { type: ACTION_TYPES.TIMEOUT, at: 39999 }),
+        /not timed out yet/,
+    );
+    const playerId = getCurrentPlayerId(state);
+    const next = dispatch(state, { type: ACTION_TYPES.TIMEOUT, at: 40000 });
+    assert.equal(next.players[playerId].timeBank, 0);
+    assert.notEqual(getCurrentPlayerId(next), playerId);
+});
+
+test('a player out of time draws from the deck and discards it', () => {
+    const state = startRound({ id: 'CURRENT_APP', turnTimeout: 'DRAW_AND_DISCARD' });
+    const playerId = getCurrentPlayerId(state);
+    const [top] = state.deck;
+
+    const { state: next, events } = applyAction(state, { type: ACTION_TYPES.TIMEOUT, at: 30000 });
+
+    assert.equal(next.topDiscard.id, top.id);
+    assert.equal(next.drawnCard, null);
+    assert.deepEqual(next.players[playerId].hand, state.players[playerId].hand);
+    assert.notEqual(getCurrentPlayerId(next), playerId);
+    assert.ok(events.some(event => event.type === 'TURN_TIMED_OUT' && event.step === 'DRAWING'));
+});
+
+test('a player out of time just passes when the rules say so', () => {
+    const state = startRound({ id: 'CURRENT_APP', turnTimeout: 'PASS' });
+    const playerId = getCurrentPlayerId(state);
+
+    const next = dispatch(state, { type: ACTION_TYPES.TIMEOUT, at: 30000 });
+
+    assert.equal(next.deck.length, state.deck.length);
+    assert.deepEqual(next.topDiscard, state.topDiscard);
+    assert.notEqual(getCurrentPlayerId(next), playerId);
+});
+
+test('a player out of time while discarding discards the drawn card', () => {
+    let state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck', at: 1000 });
+    const drawn = state.drawnCard.card;
+
+    const next = dispatch(state, { type: ACTION_TYPES.TIMEOUT, at: 31000 });
+
+    assert.equal(next.topDiscard.id, drawn.id);
+    assert.equal(next.drawnCard, null);
+    assert.deepEqual(next.players[playerId].hand, state.players[playerId].hand);
+});
+
+// ==================== TICKS ====================
+
+test('a TICK ends the memorize phase once its time is up', () => {
+    let state = createInitialState('test', 'CURRENT_APP');
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'a', name: 'A' });
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'b', name: 'B' });
+    state = dispatch(state, { type: ACTION_TYPES.START_GAME, seed: 'seed', at: 1000 });
+    const tickAt = getNextTickAt(state);
+    assert.equal(tickAt, 1000 + state.ruleSet.timers.memorize);
+
+    // Early ticks change nothing
+    const early = applyAction(state, { type: ACTION_TYPES.TICK, at: tickAt - 1 });
+    assert.deepEqual(early.state, state);
+    assert.deepEqual(early.events, []);
+
+    assert.equal(dispatch(state, { type: ACTION_TYPES.TICK, at: tickAt }).phase, 'PLAYING');
+});
+
+test('a TICK times out the current turn', () => {
+    const state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    const tickAt = getNextTickAt(state);
+    assert.equal(tickAt, state.turnDeadline);
+
+    const { state: next, events } = applyAction(state, { type: ACTION_TYPES.TICK, at: tickAt });
+
+    assert.notEqual(getCurrentPlayerId(next), playerId);
+    assert.ok(events.some(event => event.type === 'TURN_TIMED_OUT'));
+});
+
+test('nothing is timed once the round has ended', () => {
+    let state = startRound('CURRENT_APP');
+    state = dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: getCurrentPlayerId(state) });
+    state = finishRound(state);
+    assert.equal(getNextTickAt(state), null);
+    assert.deepEqual(applyAction(state, { type: ACTION_TYPES.TICK, at: 1e9 }).events, []);
+});
+
+// ==================== EMPTY DECK ====================
+
+test('an empty deck is refilled from the discard pile, which keeps its top card', () => {
+    const state = startRound({ id: 'CURRENT_APP', emptyDeck: 'RESHUFFLE' });
+    state.deck = [];
+    setTopDiscard(state, '5', '♠');
+    setTopDiscard(state, '6', '♠');
+    const top = setTopDiscard(state, '7', '♠');
+    const playerId = getCurrentPlayerId(state);
+
+    const { state: next, events } = applyAction(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+
+    assert.equal(next.phase, 'PLAYING');
+    assert.ok(next.drawnCard);
+    assert.deepEqual(next.discardPile, [top]);
+    assert.equal(next.deck.length + 1, state.discardPile.length - 1);
+    assert.equal(next.deckReshuffles, 1);
+    assert.ok(events.some(event => event.type === 'DECK_RESHUFFLED'));
+});
+
+test('an empty deck ends the round when the rules say so', () => {
+    const state = startRound({ id: 'CURRENT_APP', emptyDeck: 'END_ROUND' });
+    state.deck = [];
+    setTopDiscard(state, '5', '♠');
+    setTopDiscard(state, '6', '♠');
+    const playerId = getCurrentPlayerId(state);
+
+    const { state: next, events } = applyAction(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+
+    assert.equal(next.phase, 'ENDED');
+    assert.equal(next.deckReshuffles, 0);
+    assert.equal(events.find(event => event.type === 'GAME_ENDED').reason, 'DECK_EMPTY');
+});
+
+// ==================== LEGAL ACTIONS ====================
+
+const typesOf = actions => actions.map(action => action.source ? `${action.type}:${action.source}` : action.type);
+
+test('only players who are not ready yet may confirm while memorizing', () => {
+    let state = createInitialState('test', 'CURRENT_APP');
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'a', name: 'A' });
+    state = dispatch(state, { type: ACTION_TYPES.ADD_PLAYER, playerId: 'b', name: 'B' });
+    assert.deepEqual(getLegalActions(state, 'a'), []);
+
+    state = dispatch(state, { type: ACTION_TYPES.START_GAME, seed: 'seed' });
+    assert.deepEqual(getLegalActions(state, 'a'), [{ type: ACTION_TYPES.READY, playerId: 'a' }]);
+    state = dispatch(state, { type: ACTION_TYPES.READY, playerId: 'a' });
+    assert.deepEqual(getLegalActions(state, 'a'), []);
+    assert.deepEqual(getLegalActions(state, 'spectator'), []);
+});
+
+test('a turn starts with a draw or a Kabul call', () => {
+    const state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    const otherId = state.turnOrder.find(id => id !== playerId);
+
+    assert.deepEqual(typesOf(getLegalActions(state, playerId)), ['DRAW:deck', 'DRAW:discard', 'CALL_KABUL']);
+    assert.deepEqual(getLegalActions(state, otherId), []);
+});
+
+test('a drawn card can be swapped into any filled slot or discarded', () => {
+    let state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    state.players[playerId].hand[1] = null;
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+
+    assert.deepEqual(getLegalActions(state, playerId), [
+        { type: ACTION_TYPES.SWAP, playerId, handIndex: 0 },
+        { type: ACTION_TYPES.SWAP, playerId, handIndex: 2 },
+        { type: ACTION_TYPES.SWAP, playerId, handIndex: 3 },
+        { type: ACTION_TYPES.DISCARD, playerId },
+    ]);
+});
+
+test('an ability lists its targets and a skip', () => {
+    let state = startRound('CURRENT_APP');
+    const playerId = getCurrentPlayerId(state);
+    state.deck.unshift(createCard(state.ruleSet, '7', '♠', 9));
+    state = dispatch(state, { type: ACTION_TYPES.DRAW, playerId, source: 'deck' });
+    state = dispatch(state, { type: ACTION_TYPES.DISCARD, playerId });
+    assert.equal(state.pendingAction?.type, ACTION_STATES.CHOOSING_OWN_CARD_TO_PEEK);
+
+    const actions = getLegalActions(state, playerId, 0);
+    assert.deepEqual(typesOf(actions), ['SLAP', 'SLAP', 'SLAP', 'SLAP', 'PEEK_OWN', 'PEEK_OWN', 'PEEK_OWN', 'PEEK_OWN', 'SKIP_ABILITY']);
+
+    // Once the snap window has closed only the ability is left
+    assert.deepEqual(typesOf(getLegalActions(state, playerId, state.snapWindow.closesAt + 1)),
+        ['PEEK_OWN', 'PEEK_OWN', 'PEEK_OWN', 'PEEK_OWN', 'SKIP_ABILITY']);
+});
+
+test('every listed action is accepted', () => {
+    let state = startRound('CURRENT_APP');
+    for (let step = 0; step < 20 && state.phase === 'PLAYING'; step++) {
+        for (const playerId of state.turnOrder) {
+            for (const action of getLegalActions(state, playerId)) {
+                assert.doesNotThrow(() => dispatch(state, action), `${action.type} for ${playerId}`);
+            }
+        }
+        // Play the first option other than Kabul to move on
+        const playerId = getCurrentPlayerId(state);
+        const next = getLegalActions(state, playerId).find(action => action.type !== ACTION_TYPES.CALL_KABUL);
+        state = dispatch(state, next);
+    }
+});
+
+// ==================== ENDING A ROUND ====================
+
+test('a failed Kabul call is ranked on the adjusted score', () => {
+    // Cabo adds 10 to a caller who is not lowest: 5 + 10 drops behind 12
+    let state = startRoundWith('CABO', ['a', 'b', 'c']);
+    const caller = getCurrentPlayerId(state);
+    const [lowest, highest] = state.turnOrder.filter(id => id !== caller);
+    setHand(state, caller, ['A', 'A', 'A', '2']);
+    setHand(state, lowest, ['A', 'A', 'A', 'A']);
+    setHand(state, highest, ['3', '3', '3', '3']);
+    state = dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: caller });
+    state = finishRound(state);
+
+    assert.deepEqual(state.rankings.map(entry => [entry.playerId, entry.finalScore, entry.position]), [
+        [lowest, 4, 1],
+        [highest, 12, 2],
+        [caller, 15, 3],
+    ]);
+    assert.deepEqual(state.winners, [lowest]);
+});
+
+test('a failed call only doubles a hand worth more than zero', () => {
+    const endRound = (setHands) => {
+        let state = startRound({ id: 'CURRENT_APP', kabul: { failedCall: 'DOUBLE' } });
+        const caller = getCurrentPlayerId(state);
+        const other = state.turnOrder.find(id => id !== caller);
+        setHands(state, caller, other);
+        state = dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: caller });
+        return finishRound(state).players[caller];
+    };
+    // Red Kings are worth -1 in these rules
+    const setRedKings = (state, playerId) => {
+        state.players[playerId].hand = ['♥', '♦', '♥', '♦'].map((suit, i) => ({ ...createCard(state.ruleSet, 'K', suit, 9 + i), position: i }));
+    };
+
+    const positive = endRound((state, caller, other) => {
+        setHand(state, caller, ['A', 'A', '2', '2']);
+        setHand(state, other, ['A', 'A', 'A', 'A']);
+    });
+    assert.equal(positive.finalScore, 12);
+    assert.deepEqual(positive.scoreAdjustment, { points: 6, reason: 'FAILED_CALL' });
+
+    // Level on -4: still a failed call, but doubling would lower the score
+    const negative = endRound((state, caller, other) => {
+        setRedKings(state, caller);
+        setRedKings(state, other);
+    });
+    assert.equal(negative.finalScore, -4);
+    assert.deepEqual(negative.scoreAdjustment, { points: 0, reason: 'FAILED_CALL' });
+});
+
+/**
+ * The caller and the next player tie on 4 points (the other player holds
+ * fewer cards); the third player has 12.
+ */
+function endTiedRound(tiebreak) {
+    let state = startRoundWith({ id: 'CURRENT_APP', kabul: { tiebreak } }, ['a', 'b', 'c']);
+    const caller = getCurrentPlayerId(state);
+    const [tied, highest] = state.turnOrder.filter(id => id !== caller);
+    setHand(state, caller, ['A', 'A', 'A', 'A']);
+    setHand(state, tied, ['2', '2', '5', '5']);
+    state.players[tied].hand[2] = null;
+    state.players[tied].hand[3] = null;
+    setHand(state, highest, ['3', '3', '3', '3']);
+    state = dispatch(state, { type: ACTION_TYPES.CALL_KABUL, playerId: caller });
+    state = finishRound(state);
+
+    const positions = state.rankings.map(entry => [entry.playerId, entry.position, entry.shared]);
+    return { state, positions, caller, tied, highest };
+}
+
+test('tied players share the win by default', () => {
+    const { state, positions, caller, tied, highest } = endTiedRound('SHARED');
+    assert.deepEqual(positions, [[caller, 1, true], [tied, 1, true], [highest, 3, false]]);
+    assert.deepEqual([...state.winners].sort(), [caller, tied].sort());
+});
+
+test('a tied Kabul caller drops behind when the caller loses ties', () => {
+    const { state, positions, caller, tied, highest } = endTiedRound('CALLER_LOSES');
+    assert.deepEqual(positions, [[tied, 1, false], [caller, 2, false], [highest, 3, false]]);
+    assert.deepEqual(state.winners, [tied]);
+});
+
+test('fewer cards break a tie when the rules say so', () => {
+    const { state, positions, caller, tied, highest } = endTiedRound('FEWEST_CARDS');
+    assert.deepEqual(positions, [[tied, 1, false], [caller, 2, false], [highest, 3, false]]);
+    assert.deepEqual(state.winners, [tied]);
+});
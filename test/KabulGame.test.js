@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KabulGame } from '../src/KabulGame.js';
+import { VirtualClock } from '../src/Clock.js';
+
+function playUntil(game, clock, done) {
+    for (let steps = 0; !done() && steps < 10000 && clock.runNext(); steps++);
+}
+
+/**
+ * A finished round between three bots.
+ */
+function playRound(ruleSet) {
+    const clock = new VirtualClock();
+    const game = new KabulGame('replayed', ruleSet, { clock });
+    for (const id of ['b1', 'b2', 'b3']) game.addPlayer(id, id, { isBot: true });
+    game.startGame('seed');
+    playUntil(game, clock, () => game.state.phase === 'ENDED');
+    return game;
+}
+
+// ==================== REPLAY ====================
+
+test('replays pick up the ruleSet recorded when the game started', () => {
+    const game = playRound('CABO');
+    assert.equal(game.state.phase, 'ENDED');
+
+    const replayed = KabulGame.replay(game.state.seed, game.state.events);
+    assert.equal(replayed.state.gameId, 'replayed');
+    assert.equal(replayed.ruleSet.id, 'CABO');
+    assert.deepEqual(replayed.state, game.state);
+});
+
+test('replaying part of the log rebuilds the game as it was then', () => {
+    const clock = new VirtualClock();
+    const game = new KabulGame('replayed', 'CURRENT_APP', { clock });
+    for (const id of ['b1', 'b2', 'b3']) game.addPlayer(id, id, { isBot: true });
+    game.startGame('seed');
+    playUntil(game, clock, () => game.state.turnCount > 3);
+    const midway = structuredClone(game.state);
+    playUntil(game, clock, () => game.state.phase === 'ENDED');
+    assert.ok(game.state.events.length > midway.events.length);
+
+    const replayed = KabulGame.replay(game.state.seed, game.state.events, { upTo: midway.events.length });
+    assert.deepEqual(replayed.state, midway);
+});
+
+// ==================== SPECTATORS ====================
+
+/**
+ * Two human players, just past the memorize phase at time 0.
+ */
+function startTable() {
+    const clock = new VirtualClock();
+    const game = new KabulGame('watched', 'CURRENT_APP', { clock });
+    game.addPlayer('p1', 'P1');
+    game.addPlayer('p2', 'P2');
+    game.startGame('seed');
+    game.endMemorizePhase();
+    return { game, clock };
+}
+
+test('spectators see card counts but no cards', () => {
+    const { game } = startTable();
+    const view = game.getSpectatorState();
+    assert.equal(view.role, 'spectator');
+    assert.equal(view.asOf, null);
+    for (const player of view.players) {
+        assert.equal(player.hand, null);
+        assert.equal(player.cardCount, 4);
+    }
+});
+
+test('the director view reveals every hand as it is now', () => {
+    const { game } = startTable();
+    const view = game.getSpectatorState({ director: true });
+    assert.equal(view.role, 'director');
+    for (const player of view.players) {
+        assert.deepEqual(player.hand.map(card => card.display), game.state.players[player.id].hand.map(card => card.display));
+    }
+});
+
+test('a delayed director view shows the hands as they were', () => {
+    const { game, clock } = startTable();
+    const playerId = game.getCurrentPlayerId();
+    const before = game.getSpectatorState({ director: true }).players.find(p => p.id === playerId).hand;
+
+    clock.advance(2000);
+    game.drawCard(playerId, 'deck');
+    game.swapCard(playerId, 0);
+    const now = game.getSpectatorState({ director: true }).players.find(p => p.id === playerId).hand;
+    assert.notDeepEqual(now, before);
+
+    const delayed = game.getSpectatorState({ director: true, delay: 1000 });
+    assert.equal(delayed.asOf, 1000);
+    assert.deepEqual(delayed.players.find(p => p.id === playerId).hand, before);
+    assert.equal(delayed.currentTurn, playerId);
+
+    // Later refreshes catch up with the game
+    clock.advance(1000);
+    assert.deepEqual(game.getSpectatorState({ director: true, delay: 500 }).players.find(p => p.id === playerId).hand, now);
+});
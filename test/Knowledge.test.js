@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KNOWLEDGE, resetKnowledge, learn, replaceSlot, swapSlots, moveSlot } from '../src/Knowledge.js';
+import { resolveRuleSet, createCard } from '../src/RuleSet.js';
+
+const ruleSet = resolveRuleSet('CURRENT_APP');
+
+/**
+ * Players a, b and c, each holding two cards; nobody has seen any of them.
+ */
+function createTable() {
+    const hand = ranks => ranks.map((rank, i) => ({ ...createCard(ruleSet, rank, '♠', i), position: i }));
+    const state = {
+        players: {
+            a: { id: 'a', hand: hand(['A', '2']) },
+            b: { id: 'b', hand: hand(['3', '4']) },
+            c: { id: 'c', hand: hand(['5', '6']) },
+        },
+    };
+    resetKnowledge(state);
+    return state;
+}
+
+const statusOf = (state, observerId, ownerId) => state.knowledge[observerId][ownerId].map(entry => entry.status);
+
+// ==================== TRANSITIONS ====================
+
+test('a seen card is KNOWN until a new card replaces it', () => {
+    const state = createTable();
+    learn(state, 'a', 'a', 0);
+    learn(state, 'b', 'a', 0);
+    assert.deepEqual(statusOf(state, 'a', 'a'), [KNOWLEDGE.KNOWN, KNOWLEDGE.UNKNOWN]);
+    assert.equal(state.knowledge.b.a[0].card.rank, 'A');
+
+    // a swaps a drawn card in: only a sees it
+    state.players.a.hand[0] = { ...createCard(ruleSet, 'K', '♥', 9), position: 0 };
+    replaceSlot(state, 'a', 0, 'a');
+    assert.equal(state.knowledge.a.a[0].card.rank, 'K');
+    assert.deepEqual(statusOf(state, 'b', 'a'), [KNOWLEDGE.UNKNOWN, KNOWLEDGE.UNKNOWN]);
+});
+
+test('a blind swap leaves what everyone knew STALE, and moves it with the cards', () => {
+    const state = createTable();
+    learn(state, 'a', 'a', 0);
+    learn(state, 'c', 'b', 1);
+    [state.players.a.hand[0], state.players.b.hand[1]] = [state.players.b.hand[1], state.players.a.hand[0]];
+    swapSlots(state, 'a', 0, 'b', 1);
+
+    assert.equal(state.knowledge.a.b[1].status, KNOWLEDGE.STALE);
+    assert.equal(state.knowledge.a.b[1].card.rank, 'A');
+    assert.equal(state.knowledge.c.a[0].status, KNOWLEDGE.STALE);
+    assert.equal(state.knowledge.c.a[0].card.rank, '4');
+    assert.equal(state.knowledge.a.a[0].status, KNOWLEDGE.UNKNOWN);
+});
+
+test('whoever sees both cards of a swap keeps them KNOWN', () => {
+    const state = createTable();
+    learn(state, 'a', 'a', 0);
+    [state.players.a.hand[0], state.players.b.hand[1]] = [state.players.b.hand[1], state.players.a.hand[0]];
+    swapSlots(state, 'a', 0, 'b', 1, 'c');
+
+    assert.equal(state.knowledge.a.b[1].status, KNOWLEDGE.STALE);
+    assert.deepEqual(statusOf(state, 'c', 'a'), [KNOWLEDGE.KNOWN, KNOWLEDGE.UNKNOWN]);
+    assert.deepEqual(statusOf(state, 'c', 'b'), [KNOWLEDGE.UNKNOWN, KNOWLEDGE.KNOWN]);
+    assert.equal(state.knowledge.c.a[0].card.rank, '4');
+});
+
+test('a given card stays KNOWN to the giver only', () => {
+    const state = createTable();
+    learn(state, 'a', 'a', 1);
+    learn(state, 'c', 'a', 1);
+    state.players.b.hand[0] = { ...state.players.a.hand[1], position: 0 };
+    state.players.a.hand[1] = null;
+    moveSlot(state, 'a', 1, 'b', 0);
+
+    assert.equal(state.knowledge.a.b[0].status, KNOWLEDGE.KNOWN);
+    assert.equal(state.knowledge.c.b[0].status, KNOWLEDGE.STALE);
+    assert.equal(state.knowledge.b.b[0].status, KNOWLEDGE.UNKNOWN);
+    assert.deepEqual(statusOf(state, 'c', 'a'), [KNOWLEDGE.UNKNOWN, KNOWLEDGE.UNKNOWN]);
+});
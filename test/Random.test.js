@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashSeed, createRng, shuffle } from '../src/Random.js';
+
+// ==================== GENERATOR ====================
+
+test('the same seed always gives the same shuffle', () => {
+    const deal = seed => shuffle([...Array(52).keys()], createRng(hashSeed(seed)));
+    assert.deepEqual(deal('seed'), deal('seed'));
+    assert.notDeepEqual(deal('seed'), deal('other'));
+});
+
+test('a generator resumed from its state carries on the same sequence', () => {
+    const random = createRng(hashSeed('seed'));
+    random();
+    const resumed = createRng(random.state);
+    assert.deepEqual([resumed(), resumed()], [random(), random()]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ABILITY, resolveRuleSet, getCardAbility, createCard, generateDeck, getDeckCount } from '../src/RuleSet.js';
+
+// ==================== RESOLUTION ====================
+
+test('an override takes a preset ability away with NONE', () => {
+    const ruleSet = resolveRuleSet({ id: 'CURRENT_APP', abilities: { '7': ABILITY.NONE } });
+
+    assert.equal(getCardAbility(ruleSet, '7'), ABILITY.NONE);
+    assert.equal(createCard(ruleSet, '7', '♠').actionType, ABILITY.NONE);
+    // The ranks it leaves out keep the preset's abilities
+    assert.equal(getCardAbility(ruleSet, '8'), ABILITY.PEEK_SELF);
+    assert.equal(getCardAbility(ruleSet, 'K'), ABILITY.SEE_AND_SWAP);
+});
+
+test('the classic rules let any drawn card be discarded and use its ability', () => {
+    const ruleSet = resolveRuleSet('KABUL_CLASSIC');
+    assert.equal(ruleSet.mustSwapDiscardDraw, false);
+    assert.equal(ruleSet.abilitiesFromDeckOnly, false);
+});
+
+// ==================== DECKS ====================
+
+test('every card of a multi-deck shoe has its own id', () => {
+    const ruleSet = resolveRuleSet('CURRENT_APP');
+    const deck = generateDeck(ruleSet, 3);
+
+    assert.equal(deck.length, 3 * 54);
+    assert.equal(new Set(deck.map(card => card.id)).size, deck.length);
+    assert.equal(deck.filter(card => card.display === 'A♠').length, 3);
+});
+
+test('one more deck is added for every group of players per deck', () => {
+    const ruleSet = resolveRuleSet('CURRENT_APP');
+    assert.equal(getDeckCount(ruleSet, 2), 1);
+    assert.equal(getDeckCount(ruleSet, 4), 1);
+    assert.equal(getDeckCount(ruleSet, 5), 2);
+    assert.equal(getDeckCount(ruleSet, 8), 2);
+});